@@ -0,0 +1,69 @@
+/******************************************************************************/
+
+
+/* Annotations are lines within the comments that lead a statement that start
+ * with an @ character followed by the name of the annotation; the remainder of
+ * the line is the argument text of the annotation. For example:
+ *
+ *     -- @label user one
+ *     SELECT * FROM Users WHERE userId = ?;
+ *
+ * Both line and block comments can hold annotations. */
+const annotationRegex = /^@([A-Za-z_][\w-]*)(?:\s+(.*?))?\s*$/;
+
+
+/******************************************************************************/
+
+
+/* Given the text of a comment, return back the lines of text within it, with
+ * the comment markers removed and the lines trimmed. */
+function commentLines(text) {
+  if (text.startsWith('--') === true) {
+    return [text.substring(2).trim()];
+  }
+
+  return text.replace(/^\/\*/, '').replace(/\*\/$/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/^\*\s*/, ''));
+}
+
+
+/******************************************************************************/
+
+
+/* Given the leading trivia for a statement in the CST (the spaces, newlines and
+ * comments that come before it), return back an array of the annotations that
+ * appear in the comments, in the order that they appear. Each annotation is an
+ * object that has the "name" of the annotation and its argument text in "args",
+ * which is an empty string if there are no arguments.
+ *
+ * When isFirst is false, the statement follows another statement, and a comment
+ * on the same line as the end of that statement is considered to be trailing
+ * that statement rather than leading this one, and so is ignored. */
+export function parseAnnotations(leading, isFirst = true) {
+  const annotations = [];
+  let seenNewline = isFirst;
+
+  for (const node of leading ?? []) {
+    if (node.type === 'newline') {
+      seenNewline = true;
+      continue;
+    }
+
+    if (seenNewline === false || (node.type !== 'line_comment' && node.type !== 'block_comment')) {
+      continue;
+    }
+
+    for (const line of commentLines(node.text)) {
+      const match = line.match(annotationRegex);
+      if (match !== null) {
+        annotations.push({ name: match[1], args: match[2] ?? '' });
+      }
+    }
+  }
+
+  return annotations;
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,540 @@
+/******************************************************************************/
+
+
+import { SQLBindError, SQLLimitError, wrapExecutionError } from './errors.js';
+import { SQLStatement, SQLLabel, processSQLString, bindStatement, hasOnlyDefaultBinds } from './statement.js';
+import { emitLog } from './logger.js';
+import { transformRows, mergeTransforms } from './transforms.js';
+import { mergeSerialization } from './serialize.js';
+import { resolveQueryOptions } from './options.js';
+import { withRetry } from './retry.js';
+import { paginate, iterate } from './paginate.js';
+
+
+/******************************************************************************/
+
+
+/* Given the logger to use, the action being taken, the result of a D1 query,
+ * the attempt on which the query succeeded, and the position of the result
+ * within a batch (or null if the query was not part of a batch), generate a
+ * log record that provides details on the result.
+ *
+ * This provides some locus information on the queries being performed, as well
+ * as statistics on how they performed, which is helpful for tracing and tuning
+ * of the code and DB schema. */
+function logD1Result(logger, action, result, attempt, batchIndex = null, batchSize = null) {
+  // Alias the result meta section for easier access
+  const m = result.meta;
+
+  emitLog(logger, 'info', {
+    event: 'query',
+    action,
+    success: result.success,
+    duration: m.duration,
+    rows_read: m.rows_read ?? null,
+    rows_written: m.rows_written ?? null,
+    last_row_id: m.last_row_id,
+    changes: m.changes ?? null,
+
+    // Result set size is special since the result can end up being null.
+    resultSize: result.results !== null ? result.results.length : null,
+    batchIndex,
+    batchSize,
+    attempt
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* Given the action for a query, the D1 statements that were executed for it,
+ * and whether or not they were executed as a batch, return back the context
+ * object used to construct an execution error when the query fails.
+ *
+ * D1 does not report which statement in a batch failed, so the failing
+ * statement is only known when there is exactly one. When the statements are
+ * a chunk of a split batch, completed is the number of statements of the batch
+ * that were executed before the chunk, so that the index of the failing
+ * statement is its position in the whole batch. */
+function executionContext(action, d1Statements, isBatch, completed = 0) {
+  const statements = d1Statements.map(stmt => ({
+    sql: stmt?.statement ?? null,
+    binds: stmt?.params ?? []
+  }));
+  const failed = statements.length === 1 ? statements[0] : null;
+
+  return {
+    action,
+    sql: failed?.sql,
+    binds: failed?.binds,
+    batchIndex: (isBatch && failed !== null) ? completed : null,
+    batchSize: isBatch ? statements.length : null,
+    statements,
+    completed
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Given the D1 statements of a batch and the resolved query options, return
+ * back an array of the chunks that the batch should be executed in.
+ *
+ * Unless the maxBatchSize option is set, or the batch is no larger than it,
+ * the batch is executed as is. Otherwise the batch is split into chunks of at
+ * most that many statements, which are executed one after the other; since
+ * each chunk is its own transaction, a warning is logged to make it clear that
+ * atomicity only holds within each chunk. If the query is marked as atomic, it
+ * cannot be split, and an error is raised instead. */
+function batchChunks(d1Statements, options) {
+  const { action, logger, maxBatchSize, atomic } = options;
+  if (maxBatchSize === null || maxBatchSize === undefined) {
+    return [d1Statements];
+  }
+
+  if (Number.isInteger(maxBatchSize) === false || maxBatchSize < 1) {
+    throw new Error('maxBatchSize must be a positive integer');
+  }
+
+  if (d1Statements.length <= maxBatchSize) {
+    return [d1Statements];
+  }
+
+  if (atomic === true) {
+    throw new SQLLimitError(`batch of ${d1Statements.length} statements exceeds the maximum batch size of ` +
+                            `${maxBatchSize} and cannot be split because the query is atomic`,
+                            { limit: 'batch_size', maximum: maxBatchSize, value: d1Statements.length });
+  }
+
+  const chunks = [];
+  for (let start = 0; start < d1Statements.length; start += maxBatchSize) {
+    chunks.push(d1Statements.slice(start, start + maxBatchSize));
+  }
+
+  emitLog(logger, 'warn', {
+    event: 'batch_split',
+    action,
+    batchSize: d1Statements.length,
+    maxBatchSize,
+    chunks: chunks.length,
+    message: `batch of ${d1Statements.length} statements split into ${chunks.length} chunks; ` +
+             `atomicity only holds within each chunk`
+  });
+
+  return chunks;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the result of a D1 query and the row transforms to apply, return back a
+ * normalized result object, which has the transformed result rows in "rows",
+ * and the metadata of the query in "meta". */
+function normalizeResult(result, transforms) {
+  const m = result.meta;
+
+  return {
+    rows: transformRows(result.results ?? [], transforms),
+    meta: {
+      changes: m.changes ?? 0,
+      last_row_id: m.last_row_id ?? null,
+      rows_read: m.rows_read ?? null,
+      rows_written: m.rows_written ?? null,
+      duration: m.duration ?? null,
+      changed_db: m.changed_db ?? false
+    }
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a statement or array of statements and the result rows from executing
+ * them, return back an object that has the results of every labeled statement
+ * keyed by the name of its label. Depending on the mode of the label, the value
+ * is either all of the result rows, the first row, or the value of the first
+ * column of the first row; the latter two are null when there are no rows.
+ *
+ * Statements without a label are left out of the result. */
+function labeledResults(statements, results) {
+  const statementArray = Array.isArray(statements) ? statements : [statements];
+  const resultArray = Array.isArray(statements) ? results : [results];
+  const labeled = {};
+
+  statementArray.forEach((stmt, index) => {
+    if (stmt.label === null || stmt.label === undefined) {
+      return;
+    }
+
+    const rows = resultArray[index];
+    const { name, mode } = stmt.label;
+    if (mode === 'one') {
+      labeled[name] = rows[0] ?? null;
+    } else if (mode === 'value') {
+      labeled[name] = rows.length !== 0 ? (Object.values(rows[0])[0] ?? null) : null;
+    } else {
+      labeled[name] = rows;
+    }
+  });
+
+  return labeled;
+}
+
+
+/* Given a statement or array of statements, ensure that no two of them have the
+ * same label, raising an error if they do; this is checked before the query is
+ * executed so that a query that cannot return a usable result is never made. */
+function checkLabels(statements) {
+  const names = new Set();
+
+  for (const stmt of Array.isArray(statements) ? statements : [statements]) {
+    const name = stmt.label?.name;
+    if (name === undefined) {
+      continue;
+    }
+    if (names.has(name)) {
+      throw new Error(`duplicate label '${name}' in statements`);
+    }
+    names.add(name);
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* A query client wraps a D1 database binding along with a set of default query
+ * options, and exposes the same operations as the free query functions as
+ * methods, so that neither the database nor options common to a set of queries
+ * need to be passed around everywhere.
+ *
+ * The options given to the client take precedence over the global defaults
+ * (see setQueryDefaults()), and the options given to any individual method
+ * call take precedence over those of the client. In addition to the usual
+ * query options, the client accepts an "actionPrefix" option, which is text
+ * that is prepended to the action of every query.
+ *
+ * A common pattern is to create a client per request, with an action prefix
+ * that identifies the request, so that all logs can be traced back to it. */
+export class QueryClient {
+  /* The D1 database binding that all queries made via this client are executed
+   * against. */
+  db;
+
+  /* The default query options for all queries made via this client. */
+  options;
+
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = options;
+  }
+
+  /* Return back a new client for the same database, whose options are those of
+   * this client with the given options applied over the top. */
+  withOptions(options) {
+    return new QueryClient(this.db, {
+      ...this.options,
+      ...options,
+      transforms: mergeTransforms(this.options.transforms, options.transforms),
+      serialization: mergeSerialization(this.options.serialization, options.serialization)
+    });
+  }
+
+  /* Given the action argument for one of the query methods, return back the
+   * fully resolved query options to use for it. */
+  resolve(action) {
+    return resolveQueryOptions(action, this.options);
+  }
+
+  /* Prepare the statements given in sqlargs; see dbPrepareStatements(). */
+  prepare(action, ...sqlargs) {
+    const { action: sourceName, limits, serialization } = this.resolve(action);
+    const statements = [];
+
+    // The last seen statement in the input, and whether or not it has been pushed
+    // at least once onto the output statement list.
+    let lastStatement = null;
+    let pushed = false;
+
+    // A label that was seen in the input, which applies to the next statement.
+    let pendingLabel = null;
+
+    // Push the last seen statement, which has not been given any binds. When it
+    // was compiled here and all of its binds are optional, it is bound with no
+    // values so that the defaults are used; statements that were given to us
+    // may already be bound, so they are left as they are.
+    let compiled = false;
+    const pushUnbound = () => {
+      const bindDefaults = compiled === true && hasOnlyDefaultBinds(lastStatement.bindMetadata);
+      statements.push(bindDefaults ? bindStatement(this.db, lastStatement, {}, limits, serialization) : lastStatement);
+    };
+
+    // Iterate over all of the input arguments and handle them.
+    //
+    // Arrays and objects hold values to be bound to the most recently seen
+    // statement in the input, but this causes an error if no statement has been
+    // seen yet.
+    //
+    // Labels apply to the statement that follows them.
+    //
+    // Everything else is either a previously compiled statement or a string that
+    // need to be compiled into one. In both cases we store that this is the last
+    // seen statement but don't push it right away because an array might bind to
+    // it.
+    for (const arg of sqlargs) {
+      // Check if the argument is a plain object for binding, but not one of our
+      // own statement or label objects.
+      const isBindValue = Array.isArray(arg) ||
+        (typeof arg === 'object' && arg !== null &&
+         (arg instanceof SQLStatement) === false && (arg instanceof SQLLabel) === false);
+
+      if (arg instanceof SQLLabel) {
+        if (pendingLabel !== null) {
+          throw new Error(`label '${pendingLabel.name}' is not followed by a statement`);
+        }
+        pendingLabel = arg;
+
+      } else if (isBindValue) {
+        if (lastStatement === null) {
+          throw new SQLBindError('bind arguments given before statement in input list');
+        }
+
+        // Bind the arguments to the last seen statement; this does the work of
+        // ensuring that the arguments are valid for the statement type and will
+        // raise an error as needed, and of expanding any IN lists.
+        statements.push(bindStatement(this.db, lastStatement, arg, limits, serialization));
+        pushed = true;
+
+      } else {
+        // If the last statement we saw wasn't used for a bind, push it now.
+        if (lastStatement !== null && pushed === false) {
+          pushUnbound();
+        }
+
+        let newStatement;
+        // Compile strings into statements; for our purpose here we do not allow
+        // multiple statements, since the caller is expected to just pass multiple
+        // arguments in that case.
+        if (typeof arg === "string") {
+          const { sql, bindMetadata, canProduceResult, readOnly, label } = processSQLString(arg, sourceName, false, limits);
+          newStatement = new SQLStatement(this.db.prepare(sql), bindMetadata, canProduceResult, readOnly, label);
+          compiled = true;
+        } else if (arg instanceof SQLStatement) {
+          newStatement = arg;
+          compiled = false;
+        } else {
+          throw new Error('arguments must be SQL strings, SQLStatement instances, or bind values (arrays/objects)');
+        }
+
+        // If a label preceded this statement, it replaces any label that the
+        // statement already has; the statement may be shared, so it is copied
+        // rather than altered.
+        if (pendingLabel !== null) {
+          newStatement = new SQLStatement(newStatement.statement, newStatement.bindMetadata,
+                                          newStatement.canProduceResult, newStatement.readOnly,
+                                          { name: pendingLabel.name, mode: pendingLabel.mode },
+                                          newStatement.source);
+          pendingLabel = null;
+        }
+
+        lastStatement = newStatement;
+        pushed = false;
+      }
+    }
+
+    // If there is a last statement but it hasn't been pushed yet, push it now.
+    if (lastStatement !== null && pushed === false) {
+      pushUnbound();
+    }
+
+    // A label at the end of the input has no statement to apply to.
+    if (pendingLabel !== null) {
+      throw new Error(`label '${pendingLabel.name}' is not followed by a statement`);
+    }
+
+    // If we ended up with no statements, that is an error
+    if (statements.length === 0) {
+      throw new Error('no statements provided to dbPrepareStatements()');
+    }
+
+    // Return either a single statement or the set, depending on the length. This
+    // is a convenience for easily preparing single statements without having to
+    // destructure on the calling end.
+    return statements.length === 1 ? statements[0] : statements;
+  }
+
+  /* Execute the given statement or statements, returning the result rows along
+   * with the metadata; see dbRawRun(). */
+  async rawRun(statements, action) {
+    // Resolve the options for the query; this provides a default action if one
+    // is not provided.
+    return await this.execute(statements, this.resolve(action));
+  }
+
+  /* Execute the given statement or statements as rawRun() does, but using the
+   * given query options, which must be fully resolved (see resolve()). */
+  async execute(statements, options) {
+    const { action: actionName, logger, transforms, ledger } = options;
+
+    // The query can only be retried by default if every statement in it is
+    // read only.
+    const isBatch = Array.isArray(statements);
+    const readOnly = isBatch
+      ? statements.length !== 0 && statements.every(stmt => stmt?.readOnly === true)
+      : statements?.readOnly === true;
+
+    // A single statement is executed directly.
+    if (isBatch === false) {
+      const { resultSet, attempt } = await this.executeD1(statements.statement, false, readOnly, options);
+
+      logD1Result(logger, actionName, resultSet, attempt);
+      ledger?.record(actionName, resultSet.meta);
+      ledger?.enforce(actionName, logger);
+      return normalizeResult(resultSet, transforms);
+    }
+
+    // A batch is executed as a single unit, unless it is too large and needs to
+    // be split into chunks; the results of the chunks are collected in order,
+    // and every item in the batch generates its own log.
+    const d1Statements = statements.map(stmt => stmt.statement);
+    const results = [];
+    for (const chunk of batchChunks(d1Statements, options)) {
+      const { resultSet, attempt } = await this.executeD1(chunk, true, readOnly, options, results.length);
+
+      for (const item of resultSet) {
+        logD1Result(logger, actionName, item, attempt, results.length, d1Statements.length);
+        ledger?.record(actionName, item.meta);
+        results.push(item);
+      }
+      ledger?.enforce(actionName, logger);
+    }
+
+    // Normalize the results so the caller gets the usable data.
+    return results.map(item => normalizeResult(item, transforms));
+  }
+
+  /* Execute the given D1 statement, or array of D1 statements as a batch,
+   * using the given resolved query options, and return back the result set
+   * from D1 along with the attempt on which it succeeded. Transient failures
+   * are retried as the retry policy allows, with every failed attempt logged.
+   *
+   * completed is the number of statements of a split batch that have already
+   * been executed, for the context of any error that is raised. */
+  async executeD1(d1Statements, isBatch, readOnly, options, completed = 0) {
+    const { action: actionName, logger, retry } = options;
+
+    try {
+      return await withRetry(async (attempt) => {
+        const resultSet = isBatch ? await this.db.batch(d1Statements) : await d1Statements.all();
+        return { resultSet, attempt };
+      }, retry, readOnly, (err, attempt, maxAttempts, delay) => {
+        emitLog(logger, delay !== null ? 'warn' : 'error', {
+          event: delay !== null ? 'retry' : 'query_error',
+          action: actionName,
+          attempt,
+          maxAttempts,
+          delay,
+          error: err.message,
+          message: delay !== null
+            ? `attempt ${attempt} of ${maxAttempts} failed; retrying in ${delay}ms: ${err.message}`
+            : `attempt ${attempt} of ${maxAttempts} failed: ${err.message}`
+        });
+      });
+    } catch (err) {
+      throw wrapExecutionError(err, executionContext(actionName, isBatch ? d1Statements : [d1Statements],
+                                                     isBatch, completed));
+    }
+  }
+
+  /* Execute the given statement or statements; see dbRawQuery(). */
+  async rawQuery(statements, action) {
+    const results = await this.rawRun(statements, action);
+    return Array.isArray(results) ? results.map(result => result.rows) : results.rows;
+  }
+
+  /* Prepare and execute the given sqlargs, returning the result rows along with
+   * the metadata; see dbRun(). */
+  async run(action, ...sqlargs) {
+    const statements = this.prepare(action, ...sqlargs);
+    return await this.rawRun(statements, action);
+  }
+
+  /* Prepare and execute the given sqlargs; see dbFetch(). */
+  async fetch(action, ...sqlargs) {
+    const statements = this.prepare(action, ...sqlargs);
+    return await this.rawQuery(statements, action);
+  }
+
+  /* Prepare and execute the given sqlargs, returning only the first result;
+   * see dbFetchOne(). */
+  async fetchOne(action, ...sqlargs) {
+    const result = await this.fetch(action, ...sqlargs);
+    return (result.length >= 1) ? result[0] : null;
+  }
+
+  /* Prepare and execute the given sqlargs, returning the results of the labeled
+   * statements keyed by label; see dbFetchLabeled(). */
+  async fetchLabeled(action, ...sqlargs) {
+    const statements = this.prepare(action, ...sqlargs);
+    checkLabels(statements);
+
+    const results = await this.rawQuery(statements, action);
+    return labeledResults(statements, results);
+  }
+
+  /* Fetch a single page of the results of the given SELECT statement; see
+   * dbPaginate(). */
+  async paginate(action, sql, binds = null, options = {}) {
+    return await paginate(this, action, sql, binds, options);
+  }
+
+  /* Iterate over all of the results of the given SELECT statement in chunks;
+   * see dbIterate(). */
+  iterate(action, sql, binds = null, options = {}) {
+    return iterate(this, action, sql, binds, options);
+  }
+
+  /* Prepare and execute the given sqlargs, returning only the first result of
+   * the first statement that can produce one; see dbFetchFirst(). */
+  async fetchFirst(action, ...sqlargs) {
+    // Prepare and execute just as a raw query would.
+    const statements = this.prepare(action, ...sqlargs);
+    const results = await this.rawQuery(statements, action);
+
+    // Ensure that the incoming statements are an array to make the code cleaner,
+    // then find the first statement in the list that can produce a result, if
+    // any.
+    const statementArray = Array.isArray(statements) ? statements : [statements];
+    const firstResultIndex = statementArray.findIndex(stmt => stmt.canProduceResult);
+
+    // If there is no statement that can produce a result, we're done.
+    if (firstResultIndex === -1) {
+      return null;
+    }
+
+    // Get the result set, again setting up to pretend that there is an array of
+    // statements. We can then pull the first element out of that object to
+    // return, if there is one.
+    const resultSet = Array.isArray(statements) ? results[firstResultIndex] : results;
+    const finalResult = (resultSet.length >= 1) ? resultSet[0] : null;
+
+    return finalResult;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return a new query client for the given D1 database binding that
+ * uses the given options as the defaults for all of its queries. */
+export function createClient(db, options = {}) {
+  return new QueryClient(db, options);
+}
+
+
+/******************************************************************************/
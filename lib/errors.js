@@ -2,22 +2,269 @@
 
 
 /* A custom error class for reporting SQL syntax errors in a consistent way,
- * abstracting away the underlying parser's specific error messages. */
+ * abstracting away the underlying parser's specific error messages. When the
+ * error is at a known place in the SQL, the error carries its location (see
+ * sourceLocation()):
+ *   - filename: the name of the SQL that the error is in
+ *   - line, column: the position of the error in the SQL, starting at 1
+ *   - frame: the line of SQL that the error is on, marking the position
+ *   - expected: what the parser expected to find at the position */
 export class SQLSyntaxError extends Error {
-  constructor(message, options) {
+  constructor(message, options = {}) {
     super(message, options);
     this.name = 'SQLSyntaxError';
+    this.filename = options.filename ?? null;
+    this.line = options.line ?? null;
+    this.column = options.column ?? null;
+    this.frame = options.frame ?? null;
+    this.expected = options.expected ?? null;
   }
 }
 
 
-/* A custom error class for reporting SQL bind errors in a consistent way. */
+/* A custom error class for reporting SQL bind errors in a consistent way. When
+ * the error is about a bind parameter at a known place in the SQL, it carries
+ * the same location as an SQLSyntaxError does; "expected" is the style of bind
+ * parameter that was expected there. */
 export class SQLBindError extends Error {
-  constructor(message, options) {
+  constructor(message, options = {}) {
     super(message, options);
     this.name = 'SQLBindError';
+    this.filename = options.filename ?? null;
+    this.line = options.line ?? null;
+    this.column = options.column ?? null;
+    this.frame = options.frame ?? null;
+    this.expected = options.expected ?? null;
+  }
+}
+
+
+/* A custom error class for reporting that a query would exceed one of the
+ * limits that D1 places on queries, which is detected before the query is sent
+ * to D1. In addition to the message, the error carries:
+ *   - limit: the name of the limit, such as batch_size
+ *   - maximum: the value of the limit
+ *   - value: the value that exceeded the limit */
+export class SQLLimitError extends Error {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'SQLLimitError';
+    this.limit = options.limit ?? null;
+    this.maximum = options.maximum ?? null;
+    this.value = options.value ?? null;
+  }
+}
+
+
+/* A custom error class for reporting that a statement refers to a table, column
+ * or index that is not in a schema, or inserts the wrong number of values; this
+ * is detected when the statement is checked against a schema catalog. In
+ * addition to the message, the error carries the location of the problem:
+ *   - filename: the name of the SQL that the statement came from
+ *   - line, column: the position of the problem in the SQL, starting at 1
+ *   - frame: the line of SQL that the problem is on, marking the position */
+export class SQLSchemaError extends Error {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'SQLSchemaError';
+    this.filename = options.filename ?? null;
+    this.line = options.line ?? null;
+    this.column = options.column ?? null;
+    this.frame = options.frame ?? null;
+  }
+}
+
+
+/* A custom error class for reporting errors that D1 raises while executing a
+ * query. The message is the message from D1 and the original error is the
+ * cause; in addition the error carries the context of the query that failed:
+ *   - action: the action string of the query
+ *   - sql, binds: the SQL and bind values of the statement that failed, which
+ *     are null when the failed statement cannot be determined
+ *   - batchIndex, batchSize: the position of the failed statement within the
+ *     batch and the size of the batch; these are null for single statements,
+ *     and batchIndex is also null when D1 does not say which one failed
+ *   - statements: the SQL and bind values of every statement in the query
+ *   - code: the SQLite result code, such as SQLITE_CONSTRAINT_UNIQUE, if any
+ *   - completed: the number of statements in the batch that were executed and
+ *     committed before the failure; this is only non-zero when a batch was
+ *     split into chunks, in which case the other context is for the chunk that
+ *     failed, except for batchIndex, which is always the position of the
+ *     failed statement in the whole batch */
+export class SQLExecutionError extends Error {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'SQLExecutionError';
+    this.action = options.action ?? null;
+    this.sql = options.sql ?? null;
+    this.binds = options.binds ?? null;
+    this.batchIndex = options.batchIndex ?? null;
+    this.batchSize = options.batchSize ?? null;
+    this.statements = options.statements ?? [];
+    this.code = options.code ?? null;
+    this.completed = options.completed ?? 0;
+  }
+}
+
+
+/* The base class for errors raised when a query violates a constraint. Where
+ * SQLite reports it, the table and column(s) involved are made available; the
+ * column is the first of the columns. The constraint is the text that SQLite
+ * reported as the failing constraint, which for CHECK constraints is either the
+ * name of the constraint or its expression. */
+export class SQLConstraintError extends SQLExecutionError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'SQLConstraintError';
+    this.constraint = options.constraint ?? null;
+    this.columns = options.columns ?? [];
+    this.table = options.table ?? null;
+    this.column = this.columns[0] ?? null;
+  }
+}
+
+
+/* A query violated a UNIQUE or PRIMARY KEY constraint. */
+export class UniqueConstraintError extends SQLConstraintError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UniqueConstraintError';
+  }
+}
+
+
+/* A query violated a FOREIGN KEY constraint; SQLite does not report which table
+ * or column was involved. */
+export class ForeignKeyConstraintError extends SQLConstraintError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ForeignKeyConstraintError';
+  }
+}
+
+
+/* A query tried to store NULL in a NOT NULL column. */
+export class NotNullConstraintError extends SQLConstraintError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotNullConstraintError';
   }
 }
 
 
+/* A query violated a CHECK constraint. */
+export class CheckConstraintError extends SQLConstraintError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'CheckConstraintError';
+  }
+}
+
+
+/* A custom error class for reporting that the queries tracked by a query ledger
+ * have exceeded one of its budgets. In addition to the message, the error
+ * carries:
+ *   - action: the action of the query that caused the budget to be exceeded
+ *   - budget: the name of the budget, such as rows_read
+ *   - limit: the value of the budget
+ *   - value: the total that exceeded the budget */
+export class QueryBudgetExceededError extends Error {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'QueryBudgetExceededError';
+    this.action = options.action ?? null;
+    this.budget = options.budget ?? null;
+    this.limit = options.limit ?? null;
+    this.value = options.value ?? null;
+  }
+}
+
+
+/* A custom error class for reporting that a pagination cursor cannot be used;
+ * either it is malformed, it was created for a different query or different
+ * bind values, or it has been altered. */
+export class InvalidCursorError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given some SQL, the name of its source and a position in it, as either an
+ * offset into the SQL or a line and column starting at 1, return back the
+ * location of the position as the options of an error that carries one (such
+ * as SQLSyntaxError); the frame is the line of SQL that the position is on,
+ * with a marker under the position:
+ *
+ *       |
+ *     3 |  WHERE a = = 2;
+ *       |            ^ */
+export function sourceLocation(sql, filename, offset, line = null, column = null) {
+  if (offset !== null) {
+    const before = sql.slice(0, offset).split('\n');
+    line = before.length;
+    column = before[before.length - 1].length + 1;
+  }
+
+  // Tabs before the position are kept, so that the marker lines up with it.
+  const text = sql.split(/\r\n|\n|\r/)[line - 1] ?? '';
+  const gutter = ' '.repeat(String(line).length);
+  const marker = text.slice(0, column - 1).replace(/[^\t]/g, ' ') + '^';
+  const frame = `${gutter} |\n${line} | ${text}\n${gutter} | ${marker}`;
+
+  return { filename, line, column, frame };
+}
+
+
+/******************************************************************************/
+
+
+/* The constraint error classes, keyed by the name SQLite uses for the type of
+ * constraint in its error messages. */
+const constraintErrors = {
+  'UNIQUE': UniqueConstraintError,
+  'FOREIGN KEY': ForeignKeyConstraintError,
+  'NOT NULL': NotNullConstraintError,
+  'CHECK': CheckConstraintError
+};
+
+
+/* Given an error raised by D1 while executing a query and the context of the
+ * query (see SQLExecutionError), return back an instance of the most specific
+ * SQLExecutionError class for the error, which wraps the original.
+ *
+ * Constraint failures are reported by SQLite with messages such as:
+ *     "UNIQUE constraint failed: Users.userId, Users.name"
+ *     "CHECK constraint failed: a > 0"
+ *
+ * and D1 wraps these with a prefix and a result code suffix. */
+export function wrapExecutionError(err, context) {
+  const message = err?.message ?? String(err);
+
+  // Pull out the most specific result code that is available, if any.
+  const codeMatch = message.match(/\(extended: (SQLITE_\w+)\)/) ?? message.match(/: (SQLITE_\w+)/);
+  const options = { ...context, cause: err, code: codeMatch?.[1] ?? null };
+
+  const match = message.match(/(UNIQUE|FOREIGN KEY|NOT NULL|CHECK) constraint failed(?:: (?!SQLITE_)(.*?))?(?:: SQLITE_\w+.*)?$/);
+  if (match === null) {
+    return new SQLExecutionError(message, options);
+  }
+
+  // For constraints that report columns, they are reported as Table.column.
+  const [, type, detail] = match;
+  options.constraint = detail ?? null;
+  if (type === 'UNIQUE' || type === 'NOT NULL') {
+    const names = (detail ?? '').split(',').map(name => name.trim().split('.'));
+    options.table = names[0].length === 2 ? names[0][0] : null;
+    options.columns = names.map(name => name[name.length - 1]).filter(name => name !== '');
+  }
+
+  return new constraintErrors[type](message, options);
+}
+
+
 /******************************************************************************/
@@ -3,7 +3,17 @@
 
 export {
   SQLSyntaxError,
-  SQLBindError
+  SQLBindError,
+  SQLExecutionError,
+  SQLConstraintError,
+  UniqueConstraintError,
+  ForeignKeyConstraintError,
+  NotNullConstraintError,
+  CheckConstraintError,
+  QueryBudgetExceededError,
+  InvalidCursorError,
+  SQLLimitError,
+  SQLSchemaError
 } from './errors.js';
 
 
@@ -11,18 +21,90 @@ export {
   BIND_STYLE_ANONYMOUS,
   BIND_STYLE_NUMBERED,
   BIND_STYLE_NAMED,
+  LABEL_MODES,
+  RETURN_MODES,
   SQLStatement,
+  SQLLabel,
+  label,
   processSQLString,
-  mapBinds
+  mapBinds,
+  hasOnlyDefaultBinds,
+  expandBinds,
+  bindStatement
 } from './statement.js';
 
 
+export {
+  LOG_LEVELS,
+  createLogger,
+  formatLogRecord,
+  silentLogger
+} from './logger.js';
+
+
+export {
+  COLUMN_TYPES
+} from './transforms.js';
+
+
+export {
+  BIND_TYPES,
+  DEFAULT_SERIALIZATION
+} from './serialize.js';
+
+
+export {
+  DEFAULT_RETRY,
+  isRetryableError
+} from './retry.js';
+
+
+export {
+  SchemaCatalog,
+  createSchemaCatalog
+} from './schema.js';
+
+
+export {
+  D1_LIMITS
+} from './limits.js';
+
+
+export {
+  LEDGER_STATS,
+  QueryLedger,
+  createLedger
+} from './ledger.js';
+
+
+export {
+  PAGINATION_MODES
+} from './paginate.js';
+
+
+export {
+  setQueryDefaults,
+  getQueryDefaults
+} from './options.js';
+
+
+export {
+  QueryClient,
+  createClient
+} from './client.js';
+
+
 export {
   dbPrepareStatements,
   dbRawQuery,
+  dbRawRun,
   dbFetch,
   dbFetchOne,
-  dbFetchFirst
+  dbFetchFirst,
+  dbFetchLabeled,
+  dbPaginate,
+  dbIterate,
+  dbRun
 } from './query.js';
 
 
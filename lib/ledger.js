@@ -0,0 +1,146 @@
+/******************************************************************************/
+
+
+import { QueryBudgetExceededError } from './errors.js';
+import { emitLog } from './logger.js';
+
+
+/******************************************************************************/
+
+
+/* The statistics that a ledger accumulates for every query, and which can be
+ * given a budget. The values for all but the query count come from the D1
+ * metadata of the query. */
+export const LEDGER_STATS = ['queries', 'rows_read', 'rows_written', 'duration'];
+
+
+/******************************************************************************/
+
+
+/* Create and return a new object that holds a zero value for every one of the
+ * statistics that a ledger tracks. */
+function emptyStats() {
+  return Object.fromEntries(LEDGER_STATS.map(stat => [stat, 0]));
+}
+
+
+/******************************************************************************/
+
+
+/* A query ledger accumulates the cost of the queries that are made with it,
+ * both in total and broken down by the action of each query. D1 bills based on
+ * the number of rows that are read and written, so tracking these over a
+ * request makes it possible to see what a request costs and where.
+ *
+ * A ledger can also be given budgets, which are upper limits on any of the
+ * totals that it tracks. When a query causes the total to exceed a budget, the
+ * ledger either logs a warning or raises a QueryBudgetExceededError, depending
+ * on its onExceeded option. A warning is only logged the first time that any
+ * particular budget is exceeded.
+ *
+ * A ledger is used by providing it as the "ledger" option of a query; usually
+ * this is done by creating a ledger per request and giving it to the query
+ * client for that request. */
+export class QueryLedger {
+  /* The totals of all of the statistics for all queries recorded. */
+  totals;
+
+  /* The totals of all of the statistics, keyed by the action of the queries
+   * that were recorded. */
+  byAction;
+
+  /* The budgets that apply to the totals, keyed by the name of the statistic.
+   * Statistics with no budget are not limited. */
+  budgets;
+
+  /* What happens when a budget is exceeded; either 'warn' or 'throw'. */
+  onExceeded;
+
+  /* The names of the budgets that have been exceeded so far. */
+  exceeded;
+
+  constructor({ budgets = {}, onExceeded = 'throw' } = {}) {
+    for (const budget of Object.keys(budgets)) {
+      if (LEDGER_STATS.includes(budget) === false) {
+        throw new Error(`unknown ledger budget '${budget}'`);
+      }
+    }
+    if (onExceeded !== 'warn' && onExceeded !== 'throw') {
+      throw new Error(`invalid onExceeded value '${onExceeded}'; must be 'warn' or 'throw'`);
+    }
+
+    this.budgets = budgets;
+    this.onExceeded = onExceeded;
+    this.reset();
+  }
+
+  /* Discard all of the recorded statistics, so that the ledger can be used
+   * again from scratch. */
+  reset() {
+    this.totals = emptyStats();
+    this.byAction = {};
+    this.exceeded = new Set();
+  }
+
+  /* Record a single executed statement with the given action, whose D1
+   * metadata is given in meta. */
+  record(action, meta) {
+    const actionStats = this.byAction[action] ??= emptyStats();
+    const values = {
+      queries: 1,
+      rows_read: meta.rows_read ?? 0,
+      rows_written: meta.rows_written ?? 0,
+      duration: meta.duration ?? 0
+    };
+
+    for (const stat of LEDGER_STATS) {
+      this.totals[stat] += values[stat];
+      actionStats[stat] += values[stat];
+    }
+  }
+
+  /* Check the totals against the budgets after a query with the given action
+   * has been recorded, warning via the given logger or raising an error for
+   * any budget that has been exceeded. */
+  enforce(action, logger) {
+    for (const [budget, limit] of Object.entries(this.budgets)) {
+      const value = this.totals[budget];
+      if (value <= limit) {
+        continue;
+      }
+
+      const message = `query budget exceeded: ${budget} is ${value}, budget is ${limit}`;
+      if (this.onExceeded === 'throw') {
+        throw new QueryBudgetExceededError(message, { action, budget, limit, value });
+      }
+
+      if (this.exceeded.has(budget) === false) {
+        emitLog(logger, 'warn', { event: 'budget_exceeded', action, budget, limit, value, message });
+      }
+      this.exceeded.add(budget);
+    }
+  }
+
+  /* Return back a summary of the ledger, which contains a copy of the totals
+   * along with the breakdown by action, in an "actions" key. */
+  summary() {
+    return {
+      ...this.totals,
+      actions: Object.fromEntries(
+        Object.entries(this.byAction).map(([action, stats]) => [action, { ...stats }]))
+    };
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return a new query ledger with the given options; see QueryLedger
+ * for the available options. */
+export function createLedger(options = {}) {
+  return new QueryLedger(options);
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,99 @@
+/******************************************************************************/
+
+
+import { SQLLimitError } from './errors.js';
+
+
+/******************************************************************************/
+
+
+/* The limits that D1 places on the statements that it executes, as documented
+ * by Cloudflare; these are the limits that are checked by default.
+ *
+ *   - maxParams: the most bound parameters a single statement can have
+ *   - maxSQLLength: the longest a single statement can be, in bytes
+ *   - maxValueSize: the largest a string or blob value can be, in bytes
+ *
+ * A set of limits that is used in place of these only needs to contain the
+ * limits that differ; any not given use the value here, and a limit of null is
+ * not checked at all. */
+export const D1_LIMITS = {
+  maxParams: 100,
+  maxSQLLength: 100000,
+  maxValueSize: 2000000
+};
+
+
+/******************************************************************************/
+
+
+/* Used to determine the size of strings in bytes, which is how D1 measures
+ * them. */
+const encoder = new TextEncoder();
+
+
+/* Given a value to be bound to a statement, return back the size of it in bytes
+ * if it is a string or blob value, or null if it is some other type of value,
+ * which D1 stores in a fixed size. */
+function valueSize(value) {
+  if (typeof value === 'string') {
+    return encoder.encode(value).length;
+  }
+
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return value.byteLength;
+  }
+
+  return null;
+}
+
+
+/* Given a set of limits (which may be partial, or null), return back the full
+ * set of limits that should be checked, or null if no limits are checked. */
+function resolveLimits(limits) {
+  return limits === null ? null : { ...D1_LIMITS, ...limits };
+}
+
+
+/******************************************************************************/
+
+
+/* Given the rewritten SQL of a statement, the number of bind parameters it has,
+ * and the limits to check, raise an SQLLimitError if the statement can never be
+ * executed by D1 because it has too many parameters or is too long. */
+export function checkStatementLimits(sql, argCount, limits = D1_LIMITS) {
+  const { maxParams, maxSQLLength } = resolveLimits(limits) ?? {};
+
+  if (maxParams !== null && maxParams !== undefined && argCount > maxParams) {
+    throw new SQLLimitError(`statement has ${argCount} bind parameters, which exceeds the maximum of ${maxParams}`,
+                            { limit: 'params', maximum: maxParams, value: argCount });
+  }
+
+  const length = encoder.encode(sql).length;
+  if (maxSQLLength !== null && maxSQLLength !== undefined && length > maxSQLLength) {
+    throw new SQLLimitError(`statement is ${length} bytes long, which exceeds the maximum of ${maxSQLLength} bytes`,
+                            { limit: 'sql_length', maximum: maxSQLLength, value: length });
+  }
+}
+
+
+/* Given an array of the values to be bound to a statement, in the order of the
+ * bind parameters, and the limits to check, raise an SQLLimitError if any of
+ * the values is a string or blob that is too large for D1 to store. */
+export function checkBindLimits(values, limits = D1_LIMITS) {
+  const { maxValueSize } = resolveLimits(limits) ?? {};
+  if (maxValueSize === null || maxValueSize === undefined) {
+    return;
+  }
+
+  values.forEach((value, index) => {
+    const size = valueSize(value);
+    if (size !== null && size > maxValueSize) {
+      throw new SQLLimitError(`bind parameter ${index + 1} is ${size} bytes, which exceeds the maximum of ${maxValueSize} bytes`,
+                              { limit: 'value_size', maximum: maxValueSize, value: size });
+    }
+  });
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,124 @@
+/******************************************************************************/
+
+
+/* The levels that a logger can be configured to emit, in order of increasing
+ * severity. A logger configured for a specific level emits records at that
+ * level and any level more severe than it; the special level "silent" is more
+ * severe than all others, and so suppresses all output. */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+
+/******************************************************************************/
+
+
+/* The console methods used to emit records at each of the log levels. Info
+ * level records go to console.log() rather than console.info() since that is
+ * what the library has always used for its query logs. */
+const consoleMethods = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+};
+
+
+/******************************************************************************/
+
+
+/* Given a structured log record, return back a single line of text that
+ * represents it.
+ *
+ * Query records are formatted in the same way that the library has always
+ * formatted its query logs, which provides some locus information on the
+ * queries being performed as well as statistics on how they performed. Other
+ * records are displayed as their action, the type of event, and their message. */
+export function formatLogRecord(record) {
+  if (record.event !== 'query') {
+    return `${record.action} : ${record.event} : ${record.message ?? ''}`;
+  }
+
+  // Items that are part of a batch are offset from others to make them easier
+  // to see.
+  const sep = record.batchIndex !== null ? '  =>' : '';
+
+  // Pull out the key information from the record.
+  const duration = `[${record.duration}ms]`;
+  const status = `${record.success ? ' OK ' : 'FAIL'}`;
+  const stats = `last_row_id=${record.last_row_id}, reads=${record.rows_read ?? '?'}, writes=${record.rows_written ?? '?'}`;
+
+  // Result set size is special since the result can end up being null.
+  const count = `, resultSize=${record.resultSize ?? 'null'}`;
+
+  return `${duration} ${sep} ${record.action} : ${status} : ${stats}${count}`;
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return a logger that emits records to the console (or some other
+ * object with the same methods), filtering out any records that are less
+ * severe than the configured level.
+ *
+ * The format can be "text" to emit records as human readable lines, or "json"
+ * to emit them as single line JSON objects, which is suitable for ingestion by
+ * Workers Logpush and other structured log consumers.
+ *
+ * A logger is any object with debug(), info(), warn() and error() methods that
+ * each take a single structured record; loggers created here are but one
+ * implementation of that interface. */
+export function createLogger({ level = 'info', format = 'text', sink = console } = {}) {
+  const minLevel = LOG_LEVELS.indexOf(level);
+  if (minLevel === -1) {
+    throw new Error(`invalid log level '${level}'; expected one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (format !== 'text' && format !== 'json') {
+    throw new Error(`invalid log format '${format}'; expected 'text' or 'json'`);
+  }
+
+  // Create a method for the given level; records that are not severe enough
+  // to be emitted are dropped.
+  const emitter = (recordLevel) => (record) => {
+    if (LOG_LEVELS.indexOf(recordLevel) < minLevel) {
+      return;
+    }
+
+    const output = (format === 'json')
+      ? JSON.stringify({ level: recordLevel, ...record })
+      : formatLogRecord(record);
+
+    const method = sink[consoleMethods[recordLevel]] ?? sink.log;
+    method.call(sink, output);
+  };
+
+  return {
+    debug: emitter('debug'),
+    info: emitter('info'),
+    warn: emitter('warn'),
+    error: emitter('error')
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* A logger that discards everything that it is given; this is handy in tests
+ * and anywhere else where the query logs are just noise. */
+export const silentLogger = createLogger({ level: 'silent' });
+
+
+/******************************************************************************/
+
+
+/* Emit the given record at the given level to the provided logger. Loggers are
+ * not required to implement every level, so any level that the logger does not
+ * implement is silently dropped. */
+export function emitLog(logger, level, record) {
+  if (typeof logger?.[level] === 'function') {
+    logger[level](record);
+  }
+}
+
+
+/******************************************************************************/
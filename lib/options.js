@@ -0,0 +1,108 @@
+/******************************************************************************/
+
+
+import { createLogger } from './logger.js';
+import { DEFAULT_TRANSFORMS, mergeTransforms } from './transforms.js';
+import { DEFAULT_RETRY } from './retry.js';
+import { D1_LIMITS } from './limits.js';
+import { DEFAULT_SERIALIZATION, mergeSerialization } from './serialize.js';
+
+
+/******************************************************************************/
+
+
+/* The options that are used by default for every query, unless they are
+ * overridden by the options provided to a specific call. These can be altered
+ * globally via setQueryDefaults(). */
+const defaultOptions = {
+  logger: createLogger(),
+  transforms: DEFAULT_TRANSFORMS,
+  serialization: DEFAULT_SERIALIZATION,
+  retry: DEFAULT_RETRY,
+  ledger: null,
+  cursorSecret: null,
+  maxBatchSize: null,
+  atomic: false,
+  limits: D1_LIMITS
+};
+
+
+/******************************************************************************/
+
+
+/* Alter the global default options that are used for all queries; the given
+ * object is merged with the existing defaults, so only the options that are
+ * present are changed.
+ *
+ * The options that are currently supported are:
+ *   - logger: the logger to use for query results; null disables logging
+ *   - transforms: the row transforms to apply to query results; null disables
+ *     them. The column map given here is merged with the existing one.
+ *   - serialization: the conversions to apply to bind values; null disables
+ *     them. The parameter map given here is merged with the existing one.
+ *   - retry: the policy for retrying transient failures; null disables retries.
+ *     Any option not given in a policy uses the value from DEFAULT_RETRY.
+ *   - ledger: the QueryLedger that records the cost of every query; null
+ *     disables cost tracking.
+ *   - cursorSecret: the secret used to sign pagination cursors; this must be
+ *     set in order to use dbPaginate().
+ *   - maxBatchSize: the largest number of statements to execute as a single
+ *     batch; larger batches are split into chunks of this size, each of which
+ *     is a separate transaction. null disables splitting.
+ *   - atomic: when true, a batch that is larger than maxBatchSize raises an
+ *     error instead of being split.
+ *   - limits: the limits that statements and bind values are checked against
+ *     before they are sent to D1 (see D1_LIMITS); null disables the checks. */
+export function setQueryDefaults(options) {
+  const { transforms, serialization, ...others } = options;
+  Object.assign(defaultOptions, others);
+  defaultOptions.transforms = mergeTransforms(defaultOptions.transforms, transforms);
+  defaultOptions.serialization = mergeSerialization(defaultOptions.serialization, serialization);
+}
+
+
+/******************************************************************************/
+
+
+/* Return a copy of the current global default query options. */
+export function getQueryDefaults() {
+  return { ...defaultOptions };
+}
+
+
+/******************************************************************************/
+
+
+/* The query functions all take an action argument that is used to identify the
+ * query in logs and errors. This can be either a simple string, or an object
+ * that contains an "action" key along with any options to apply to just that
+ * query.
+ *
+ * Given such an action argument and an optional set of base options (such as
+ * those of a query client), this returns back an object that contains the
+ * fully resolved options for the query, with the action string in the "action"
+ * key. Options for the query take precedence over the base options, which take
+ * precedence over the global defaults; row transforms and bind serialization
+ * options are merged rather than replaced.
+ *
+ * If the options contain an "actionPrefix", it is prepended to the action. */
+export function resolveQueryOptions(action, baseOptions = {}) {
+  const options = (typeof action === 'object' && action !== null) ? action : { action };
+  const resolved = {
+    ...defaultOptions,
+    ...baseOptions,
+    ...options,
+    transforms: mergeTransforms(
+      mergeTransforms(defaultOptions.transforms, baseOptions.transforms),
+      options.transforms),
+    serialization: mergeSerialization(
+      mergeSerialization(defaultOptions.serialization, baseOptions.serialization),
+      options.serialization)
+  };
+
+  resolved.action = `${resolved.actionPrefix ?? ''}${options.action ?? 'unspecified'}`;
+  return resolved;
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,525 @@
+/******************************************************************************/
+
+
+import { SQLSyntaxError, InvalidCursorError } from './errors.js';
+import { SQLStatement, parseStatements, processSingleAST, mapBinds, expandBinds } from './statement.js';
+import { transformRows } from './transforms.js';
+import { show } from './sqlite.js';
+
+
+/******************************************************************************/
+
+
+/* The modes of pagination that are available; keyset pagination uses the values
+ * of the ORDER BY columns of the rows at the edge of a page to find the rows of
+ * the next page, while offset pagination uses LIMIT and OFFSET. */
+export const PAGINATION_MODES = ['keyset', 'offset'];
+
+
+/* The names by which SQLite knows the rowid of a table. */
+const ROWID_NAMES = ['rowid', 'oid', '_rowid_'];
+
+
+/* Encoders for converting between strings and their UTF-8 bytes. */
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+
+/******************************************************************************/
+
+
+/* Given an identifier, return back a version of it quoted for use in SQL. */
+function quoteName(name) {
+  return `"${name.replaceAll('"', '""')}"`;
+}
+
+
+/* Given the CST for a SELECT statement, return back the CST of the simple SELECT
+ * that holds the ORDER BY and LIMIT clauses for it; for a compound SELECT, this
+ * is the rightmost one. */
+function orderingSelect(ast) {
+  while (ast.type === 'compound_select_stmt') {
+    ast = ast.right;
+  }
+  return ast;
+}
+
+
+/* Given one of the columns in the select clause of a SELECT statement, return
+ * back the name that it has in the result; a column without an alias is named
+ * as SQLite names it. */
+function resultName(item) {
+  if (item.type === 'alias') {
+    return item.alias.name;
+  } else if (item.type === 'identifier') {
+    return item.name;
+  } else if (item.type === 'member_expr' && item.property.type === 'identifier') {
+    return item.property.name;
+  }
+  return show(item).trim();
+}
+
+
+/* Given the CST for a SELECT statement, return back the names of the columns in
+ * its result, or null if they are not known because it selects all of the
+ * columns of a table; for a compound SELECT, these are the names from the
+ * leftmost one. */
+function resultColumns(ast) {
+  while (ast.type === 'compound_select_stmt') {
+    ast = ast.left;
+  }
+
+  const names = [];
+  for (const item of ast.clauses.find(clause => clause.type === 'select_clause').columns.items) {
+    if (item.type === 'all_columns' || (item.type === 'member_expr' && item.property.type === 'all_columns')) {
+      return null;
+    }
+    names.push(resultName(item));
+  }
+  return names;
+}
+
+
+/* Given the CST for a SELECT statement and a pagination key for it (see
+ * paginationKey()), return back whether the key is known to be unique in the
+ * result, which is only the case when it is the rowid of the single table that
+ * a simple SELECT selects from. Other columns, such as a primary key, cannot be
+ * known to be unique without the schema. */
+function isUniqueKey(ast, key) {
+  if (ast.type !== 'select_stmt') {
+    return false;
+  }
+
+  const from = ast.clauses.find(clause => clause.type === 'from_clause');
+  const table = from?.expr.type === 'alias' ? from.expr.expr : from?.expr;
+  if (table?.type !== 'identifier' && table?.type !== 'member_expr') {
+    return false;
+  }
+
+  return ast.clauses.find(clause => clause.type === 'select_clause').columns.items.some(item => {
+    const expr = item.type === 'alias' ? item.expr : item;
+    const name = expr.type === 'member_expr' ? expr.property : expr;
+    return resultName(item).toLowerCase() === key.name.toLowerCase() &&
+           name.type === 'identifier' && ROWID_NAMES.includes(name.name.toLowerCase());
+  });
+}
+
+
+/* Given one of the terms in an ORDER BY clause and the names of the columns in
+ * the result of the query (or null if they are not known), return back an
+ * object that describes it as a pagination key, with the "name" of the result
+ * column, the "collation" to use when comparing it (or null for the default),
+ * and whether or not it is "descending".
+ *
+ * The rows of a page are selected from the result of the query, so the terms
+ * can only be columns of the result, and not expressions or columns that are
+ * only in the tables that the query selects from. */
+function paginationKey(term, columns) {
+  let expr = term;
+  let descending = false;
+  let collation = null;
+
+  if (term.type === 'sort_specification') {
+    if (term.nullHandlingKw !== undefined) {
+      throw new SQLSyntaxError('NULLS FIRST and NULLS LAST cannot be used in paginated queries');
+    }
+    descending = term.direction?.type === 'sort_direction_desc';
+    expr = term.expr;
+  }
+
+  if (expr.type === 'binary_expr' && expr.operator.name === 'COLLATE') {
+    collation = expr.right.name;
+    expr = expr.left;
+  }
+
+  let name = null;
+  if (expr.type === 'identifier') {
+    name = expr.name;
+  } else if (expr.type === 'member_expr' && expr.property.type === 'identifier') {
+    name = expr.property.name;
+  }
+
+  // Names are matched as SQLite matches them, but the key uses the name that
+  // the column has in the rows of the result.
+  const column = name === null || columns === null
+    ? name
+    : columns.find(column => column.toLowerCase() === name.toLowerCase()) ?? null;
+  if (column === null) {
+    throw new SQLSyntaxError(`ORDER BY terms in paginated queries must be result columns; found '${show(expr).trim()}'`);
+  }
+
+  return { name: column, collation, descending };
+}
+
+
+/******************************************************************************/
+
+
+/* Given the SQL of a query to paginate, the name of its source and the mode of
+ * pagination, parse it and return back an object that contains the SQL of the
+ * query and its bind metadata (as processSQLString() does), along with the
+ * "keys" that pages are ordered by (see paginationKey()) and the "mode" of
+ * pagination.
+ *
+ * For keyset pagination the ORDER BY clause is required, and is removed from
+ * the SQL, since it is applied to the query from the outside; for offset
+ * pagination it is left alone. In either case, the query cannot have a LIMIT,
+ * since one is added to select a page.
+ *
+ * The mode can also be 'auto', in which case keyset pagination is used only if
+ * the query has an ORDER BY clause that can be used for it and whose last term
+ * is known to be unique (see isUniqueKey()); otherwise offset pagination is
+ * used, since keyset pagination skips rows that share a key with the row at the
+ * edge of a page. */
+function preparePagination(sql, sourceName, mode) {
+  const statements = parseStatements(sql, sourceName, true);
+  if (statements.length !== 1) {
+    throw new SQLSyntaxError('paginated queries must contain exactly one statement');
+  }
+
+  const { ast, annotations } = statements[0];
+  if (ast.type !== 'select_stmt' && ast.type !== 'compound_select_stmt') {
+    throw new SQLSyntaxError('only SELECT statements can be paginated');
+  }
+
+  const select = orderingSelect(ast);
+  if (select.clauses.some(clause => clause.type === 'limit_clause')) {
+    throw new SQLSyntaxError('paginated queries cannot have a LIMIT clause');
+  }
+
+  // In auto mode, keyset pagination is only used if every term of the ORDER BY
+  // can be used as a key, and the last of them is unique.
+  const orderBy = select.clauses.find(clause => clause.type === 'order_by_clause');
+  if (mode === 'auto') {
+    let usable = orderBy !== undefined;
+    try {
+      const keys = orderBy?.specifications.items.map(term => paginationKey(term, resultColumns(ast)));
+      usable = usable && isUniqueKey(ast, keys[keys.length - 1]);
+    } catch (err) {
+      usable = false;
+    }
+    mode = usable ? 'keyset' : 'offset';
+  }
+
+  let keys = [];
+  if (mode === 'keyset') {
+    if (orderBy === undefined) {
+      throw new SQLSyntaxError('keyset pagination requires an ORDER BY clause');
+    }
+
+    keys = orderBy.specifications.items.map(term => paginationKey(term, resultColumns(ast)));
+    select.clauses = select.clauses.filter(clause => clause !== orderBy);
+  }
+
+  const { sql: querySql, bindMetadata } = processSingleAST(ast, annotations, false, { sql, sourceName });
+  return { sql: querySql.trim(), bindMetadata, keys, mode };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a prepared query (see preparePagination()), the bind values for it, the
+ * decoded cursor position (or null for the first page) and the page size,
+ * return back the SQL and bind values that select the page with keyset
+ * pagination, along with whether the page is selected backwards.
+ *
+ * The query is wrapped as a subquery so that the keyset predicate and order can
+ * be applied to the columns of its result. A page before the cursor is selected
+ * by reversing the order, so the rows come back in reverse. One more row than
+ * the page size is selected, to know if there are more rows to come. */
+function keysetQuery(page, binds, position, limit) {
+  const backward = position?.d === 'before';
+  const columns = page.keys.map(key => key.collation === null
+    ? quoteName(key.name)
+    : `${quoteName(key.name)} COLLATE ${key.collation}`);
+
+  // The parameters for the key values and limit come after the query binds.
+  const firstParam = binds.length + 1;
+  const descending = page.keys.map(key => key.descending !== backward);
+
+  // The predicate selects rows that come after the cursor in the order, which
+  // for several keys is rows in which all of the leading keys are the same
+  // but the next key is past the cursor.
+  let where = '';
+  if (position !== null) {
+    const terms = page.keys.map((key, index) => {
+      const equal = columns.slice(0, index).map((column, prior) => `${column} = ?${firstParam + prior}`);
+      const past = `${columns[index]} ${descending[index] ? '<' : '>'} ?${firstParam + index}`;
+      return `(${[...equal, past].join(' AND ')})`;
+    });
+    where = ` WHERE ${terms.join(' OR ')}`;
+  }
+
+  const limitParam = firstParam + (position !== null ? page.keys.length : 0);
+  const order = columns.map((column, index) => `${column} ${descending[index] ? 'DESC' : 'ASC'}`);
+
+  return {
+    sql: `SELECT * FROM (\n${page.sql}\n) AS page${where} ORDER BY ${order.join(', ')} LIMIT ?${limitParam}`,
+    binds: [...binds, ...(position !== null ? position.k : []), limit + 1],
+    backward
+  };
+}
+
+
+/* Given a prepared query (see preparePagination()), the bind values for it, the
+ * decoded cursor position (or null for the first page) and the page size,
+ * return back the SQL and bind values that select the page with offset
+ * pagination. One more row than the page size is selected, to know if there
+ * are more rows to come. */
+function offsetQuery(page, binds, position, limit) {
+  const firstParam = binds.length + 1;
+
+  return {
+    sql: `${page.sql}\nLIMIT ?${firstParam} OFFSET ?${firstParam + 1}`,
+    binds: [...binds, limit + 1, position?.o ?? 0],
+    backward: false
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Given an array of bytes, return back a base64url encoded version of them. */
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+
+/* Given base64url encoded text, return back the bytes that it encodes. */
+function fromBase64Url(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), ch => ch.charCodeAt(0));
+}
+
+
+/* Compare two strings in a way that takes the same amount of time regardless of
+ * where they differ, so that signatures cannot be guessed by timing. */
+function safeEqual(left, right) {
+  if (left.length !== right.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left.charCodeAt(i) ^ right.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+
+/* Return back the signature for the body of a cursor for the query with the
+ * given fingerprint; this is an HMAC keyed with the secret, so that the cursor
+ * cannot be forged, damaged or used with the wrong query. */
+async function cursorSignature(fingerprint, body, secret) {
+  const data = encoder.encode(`${fingerprint}\n${body}`);
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret),
+                                            { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toBase64Url(new Uint8Array(await crypto.subtle.sign('HMAC', key, data)));
+}
+
+
+/* Given the position of a page edge and the fingerprint of the query, return
+ * back an opaque cursor token for it. */
+async function encodeCursor(position, fingerprint, secret) {
+  const body = toBase64Url(encoder.encode(JSON.stringify(position)));
+  return `${body}.${await cursorSignature(fingerprint, body, secret)}`;
+}
+
+
+/* Given a cursor token and the fingerprint of the query it is used with, return
+ * back the position that it holds, raising an InvalidCursorError if the cursor
+ * was not created for this query or has been altered. */
+async function decodeCursor(cursor, fingerprint, secret) {
+  const [body, signature, ...extra] = typeof cursor === 'string' ? cursor.split('.') : [];
+  if (body === undefined || signature === undefined || extra.length !== 0) {
+    throw new InvalidCursorError('pagination cursor is malformed');
+  }
+
+  if (safeEqual(signature, await cursorSignature(fingerprint, body, secret)) === false) {
+    throw new InvalidCursorError('pagination cursor is not valid for this query');
+  }
+
+  try {
+    return JSON.parse(decoder.decode(fromBase64Url(body)));
+  } catch (err) {
+    throw new InvalidCursorError('pagination cursor is malformed', { cause: err });
+  }
+}
+
+
+/* Given a row at the edge of a page, the pagination keys and the direction of
+ * the cursor, return back the position to encode into a cursor. */
+function keysetPosition(row, keys, direction) {
+  return {
+    d: direction,
+    k: keys.map(key => {
+      if (Object.hasOwn(row, key.name) === false) {
+        throw new Error(`pagination key '${key.name}' is not a column in the result`);
+      }
+      return row[key.name];
+    })
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a prepared query (see preparePagination()), the values to bind to it
+ * and the resolved query options, return back the values in the order that the
+ * query binds them. If this requires an IN list in the query to be expanded
+ * (see expandBinds()), the SQL of the query is updated to suit. */
+function pageBinds(page, binds, options) {
+  if (page.bindMetadata.argCount === 0 && (binds === null || binds === undefined)) {
+    return [];
+  }
+
+  const { limits, serialization } = options;
+  const ordered = mapBinds(page.bindMetadata, binds, limits, serialization);
+  const { sql, binds: expanded } = expandBinds(page.bindMetadata, ordered, limits);
+  if (sql !== null) {
+    page.sql = sql.trim();
+  }
+  return expanded;
+}
+
+
+/* Using the given client and fully resolved query options, fetch the page of
+ * the given prepared query (see preparePagination()) that is at the given
+ * position with the given page size, binding the given ordered bind values.
+ *
+ * The return value is an object with the "rows" of the page in order, whether
+ * or not there are more rows beyond the page in "hasMore", and whether the
+ * page was selected "backward" from the position. The row transforms are not
+ * applied to the rows, since positions need the values as they are in the
+ * database. */
+async function fetchPage(client, options, page, binds, position, limit) {
+  const query = page.mode === 'keyset'
+    ? keysetQuery(page, binds, position, limit)
+    : offsetQuery(page, binds, position, limit);
+  const statement = new SQLStatement(client.db.prepare(query.sql).bind(...query.binds), page.bindMetadata, true, true);
+  const { rows: result } = await client.execute(statement, { ...options, transforms: null });
+
+  const rows = result.slice(0, limit);
+  if (query.backward === true) {
+    rows.reverse();
+  }
+
+  return { rows, hasMore: result.length > limit, backward: query.backward };
+}
+
+
+/******************************************************************************/
+
+
+/* Fetch a single page of the results of the given SELECT statement using the
+ * given query client, returning an object with the "rows" of the page, and a
+ * "nextCursor" and "prevCursor" for the adjacent pages, which are null when
+ * there is no such page; see dbPaginate(). */
+export async function paginate(client, action, sql, binds = null, { limit = 50, cursor = null, mode = 'keyset' } = {}) {
+  if (PAGINATION_MODES.includes(mode) === false) {
+    throw new Error(`invalid pagination mode '${mode}'; must be one of ${PAGINATION_MODES.join(', ')}`);
+  }
+  if (Number.isInteger(limit) === false || limit < 1) {
+    throw new Error('pagination limit must be a positive integer');
+  }
+
+  const options = client.resolve(action);
+  if (typeof options.cursorSecret !== 'string' || options.cursorSecret === '') {
+    throw new Error('pagination requires the cursorSecret query option to sign its cursors');
+  }
+
+  const page = preparePagination(sql, options.action, mode);
+  const queryBinds = pageBinds(page, binds, options);
+
+  // Cursors are bound to the query and its binds, so that a cursor cannot be
+  // used to page through a different set of results.
+  const fingerprint = JSON.stringify([mode, page.sql, page.keys, queryBinds]);
+  const secret = options.cursorSecret;
+  const position = cursor === null ? null : await decodeCursor(cursor, fingerprint, secret);
+
+  const isValid = mode === 'keyset'
+    ? (position === null || (['after', 'before'].includes(position?.d) && Array.isArray(position.k) &&
+                             position.k.length === page.keys.length))
+    : (position === null || (Number.isInteger(position?.o) && position.o >= 0));
+  if (isValid === false) {
+    throw new InvalidCursorError('pagination cursor is malformed');
+  }
+
+  // Select the page; the row transforms are applied only after the cursors are
+  // created, since the cursors need the values as they are in the database.
+  const { rows, hasMore, backward } = await fetchPage(client, options, page, queryBinds, position, limit);
+
+  let nextCursor = null;
+  let prevCursor = null;
+  if (mode === 'keyset') {
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+
+    // Paging backward, there is a next page (the one the cursor came from) and
+    // there may be more before; paging forward, the reverse is true.
+    const hasNext = backward ? rows.length !== 0 : hasMore;
+    const hasPrev = backward ? hasMore : (position !== null && rows.length !== 0);
+
+    if (hasNext === true) {
+      nextCursor = await encodeCursor(keysetPosition(last, page.keys, 'after'), fingerprint, secret);
+    }
+    if (hasPrev === true) {
+      prevCursor = await encodeCursor(keysetPosition(first, page.keys, 'before'), fingerprint, secret);
+    }
+  } else {
+    const offset = position?.o ?? 0;
+    if (hasMore === true) {
+      nextCursor = await encodeCursor({ o: offset + limit }, fingerprint, secret);
+    }
+    if (offset > 0) {
+      prevCursor = await encodeCursor({ o: Math.max(0, offset - limit) }, fingerprint, secret);
+    }
+  }
+
+  return { rows: transformRows(rows, options.transforms), nextCursor, prevCursor };
+}
+
+
+/******************************************************************************/
+
+
+/* Iterate over all of the results of the given SELECT statement using the given
+ * query client, yielding the rows in chunks of at most the given size; see
+ * dbIterate(). */
+export async function* iterate(client, action, sql, binds = null, { chunkSize = 100, mode = 'auto' } = {}) {
+  if (['auto', ...PAGINATION_MODES].includes(mode) === false) {
+    throw new Error(`invalid iteration mode '${mode}'; must be one of auto, ${PAGINATION_MODES.join(', ')}`);
+  }
+  if (Number.isInteger(chunkSize) === false || chunkSize < 1) {
+    throw new Error('iteration chunk size must be a positive integer');
+  }
+
+  const options = client.resolve(action);
+  const page = preparePagination(sql, options.action, mode);
+  const queryBinds = pageBinds(page, binds, options);
+
+  let position = null;
+  while (true) {
+    const { rows, hasMore } = await fetchPage(client, options, page, queryBinds, position, chunkSize);
+
+    // The position of the next chunk must be taken from the rows before they
+    // are transformed, since the transforms alter them in place.
+    if (hasMore === true) {
+      position = page.mode === 'keyset'
+        ? keysetPosition(rows[rows.length - 1], page.keys, 'after')
+        : { o: (position?.o ?? 0) + chunkSize };
+    }
+
+    if (rows.length !== 0) {
+      yield transformRows(rows, options.transforms);
+    }
+    if (hasMore === false) {
+      return;
+    }
+  }
+}
+
+
+/******************************************************************************/
@@ -1,65 +1,7 @@
 /******************************************************************************/
 
 
-import { SQLSyntaxError, SQLBindError } from './errors.js';
-import { SQLStatement, processSQLString, mapBinds } from './statement.js';
-
-
-/******************************************************************************/
-
-
-/* Examine all of the keys in the passed in object and return the list of keys
- * that are named as boolean keys, returning them as a list. The returned list
- * may be empty. */
-const boolNameKeysOf = o => Object.keys(o).filter(k => k.match(/^is[A-Z]/));
-
-
-/******************************************************************************/
-
-
-/* Examine all of the keys in the passed in object to find those that are named
- * as if their values are booleans and modify them in place.
- *
- * Such fields are expected to have an integer value, which is converted into a
- * boolean.
- *
- * D1 supports sending a boolean into the DB and will coerce it into an integer
- * value, but does not convert them back to booleans on the way out. */
-const boolifyIntFields = inputObj => {
-  for (const key of boolNameKeysOf(inputObj)) {
-    inputObj[key] = inputObj[key] !== 0;
-  }
-  return inputObj;
-}
-
-
-/******************************************************************************/
-
-
-/* Given the action being taken, the result of a D1 query, and an optional
- * separator string, generate a log message that provides details on the result.
- *
- * This provides some locus information on the queries being performed, as well
- * as statistics on how they performed, which is helpful for tracing and tuning
- * of the code and DB schema. */
-function logD1Result(action, result, sep) {
-  // Default the separator there is not one.
-  sep ??= '';
-
-  // Alias the result meta section for easier access
-  const m = result.meta;
-
-  // Pull out the key information from the object.
-  const duration = `[${m.duration}ms]`;
-  const status = `${result.success ? ' OK ' : 'FAIL'}`;
-  const stats = `last_row_id=${m.last_row_id}, reads=${m.rows_read ?? '?'}, writes=${m.rows_written ?? '?'}`
-
-  // Result set size is special since the result can end up being null.
-  const count = `, resultSize=${result.results !== null ? result.results.length : 'null'}`
-
-  // Log it.
-  console.log(`${duration} ${sep} ${action} : ${status} : ${stats}${count}`);
-}
+import { createClient } from './client.js';
 
 
 /******************************************************************************/
@@ -73,6 +15,7 @@ function logD1Result(action, result, sep) {
  *   1. SQLStatement instances from previously compiled SQL statements
  *   2. strings that contain SQL queries to be compiled
  *   3. arrays or objects that contain values to be bound to statements
+ *   4. labels created by label(), which label the statement that follows them
  *
  * When an array or object is seen, it is presumed to associate with the
  * statement that precedes it in the argument list, and will be used to bind
@@ -86,79 +29,7 @@ function logD1Result(action, result, sep) {
  * an array of prepared statements, depending on whether or not the input array
  * contains information for more than one statement or not. */
 export function dbPrepareStatements(db, action, ...sqlargs) {
-  const statements = [];
-
-  // The last seen statement in the input, and whether or not it has been pushed
-  // at least once onto the output statement list.
-  let lastStatement = null;
-  let pushed = false;
-
-  // Iterate over all of the input arguments and handle them.
-  //
-  // Arrays and objects hold values to be bound to the most recently seen
-  // statement in the input, but this causes an error if no statement has been
-  // seen yet.
-  //
-  // Everything else is either a previously compiled statement or a string that
-  // need to be compiled into one. In both cases we store that this is the last
-  // seen statement but don't push it right away because an array might bind to
-  // it.
-  for (const arg of sqlargs) {
-    // Check if the argument is a plain object for binding, but not one of our
-    // own statement objects.
-    const isBindValue = Array.isArray(arg) ||
-      (typeof arg === 'object' && arg !== null && (arg instanceof SQLStatement) === false);
-
-    if (isBindValue) {
-      if (lastStatement === null) {
-        throw new SQLBindError('bind arguments given before statement in input list');
-      }
-
-      // Bind the arguments to the last seen statement; this does the work of
-      // ensuring that the arguments are valid for the statement type and will
-      // raise an error as needed.
-      const orderedBinds = mapBinds(lastStatement.bindMetadata, arg);
-      statements.push(new SQLStatement(lastStatement.statement.bind(...orderedBinds), lastStatement.bindMetadata, lastStatement.canProduceResult));
-      pushed = true;
-
-    } else {
-      // If the last statement we saw wasn't used for a bind, push it now.
-      if (lastStatement !== null && pushed === false) {
-        statements.push(lastStatement);
-      }
-
-      let newStatement;
-      // Compile strings into statements; for our purpose here we do not allow
-      // multiple statements, since the caller is expected to just pass multiple
-      // arguments in that case.
-      if (typeof arg === "string") {
-        const { sql, bindMetadata, canProduceResult } = processSQLString(arg, action, false);
-        newStatement = new SQLStatement(db.prepare(sql), bindMetadata, canProduceResult);
-      } else if (arg instanceof SQLStatement) {
-        newStatement = arg;
-      } else {
-        throw new Error('arguments must be SQL strings, SQLStatement instances, or bind values (arrays/objects)');
-      }
-
-      lastStatement = newStatement;
-      pushed = false;
-    }
-  }
-
-  // If there is a last statement but it hasn't been pushed yet, push it now.
-  if (lastStatement !== null && pushed === false) {
-    statements.push(lastStatement);
-  }
-
-  // If we ended up with no statements, that is an error
-  if (statements.length === 0) {
-    throw new Error('no statements provided to dbPrepareStatements()');
-  }
-
-  // Return either a single statement or the set, depending on the length. This
-  // is a convenience for easily preparing single statements without having to
-  // destructure on the calling end.
-  return statements.length === 1 ? statements[0] : statements;
+  return createClient(db).prepare(action, ...sqlargs);
 }
 
 
@@ -170,40 +41,39 @@ export function dbPrepareStatements(db, action, ...sqlargs) {
  * query, and perform it.
  *
  * A single statement is executed normally while an array is executed as a batch
- * of queries.
+ * of queries. A batch that is larger than the maxBatchSize query option is split
+ * into chunks that are executed one after the other, unless the atomic query
+ * option is set, in which case an SQLLimitError is raised instead.
+ *
+ * Logs will be generated outlining the results via the logger in the query
+ * options, and the results will be returned back after applying the row
+ * transforms in the query options to them.
  *
- * Logs will be generated outlining the results, and the results will be
- * returned back.
+ * The action can be either a string or an object with an "action" key and any
+ * other query options, which override the global defaults for this query.
  *
  * The returned results have the D1 metadata stripped from them, so that they're
  * more useful to the caller. */
 export async function dbRawQuery(db, statements, action) {
-  // Use a default action if one is not provided.
-  action ??= 'unspecified';
-
-  let resultSet = undefined;
-
-  // Execute either as a batch or as a single statement.
-  if (Array.isArray(statements) === true) {
-      resultSet = await db.batch(statements.map(stmt => stmt.statement));
-  } else {
-      resultSet = await statements.statement.all();
-  }
-
-  // If the result set is an array, then this is a batch operation, so we need
-  // to generate a log once for each item in the batch.
-  if (Array.isArray(resultSet)) {
-    for (const item of resultSet) {
-      logD1Result(action, item, '  =>');
-    }
-
-    // Unfold the results so the caller gets the usable data.
-    return resultSet.map(item => item.results.map(i => boolifyIntFields(i)));
-  }
-
-  // Single result set, so log it and return the inner result back.
-  logD1Result(action, resultSet);
-  return resultSet.results.map(item => boolifyIntFields(item));
+  return await createClient(db).rawQuery(statements, action);
+}
+
+
+/******************************************************************************/
+
+
+/* This executes as dbRawQuery() does, except that the D1 metadata is not
+ * stripped from the results; this is most useful for statements that modify
+ * the database, where the number of changes or the ID of the last inserted row
+ * are of interest.
+ *
+ * For a single statement, the return value is an object with the result rows
+ * in "rows" and the metadata in "meta"; the metadata contains the keys
+ * "changes", "last_row_id", "rows_read", "rows_written", "duration" and
+ * "changed_db". For a batch, the return value is an array of such objects, one
+ * per statement. */
+export async function dbRawRun(db, statements, action) {
+  return await createClient(db).rawRun(statements, action);
 }
 
 
@@ -227,12 +97,14 @@ export async function dbRawQuery(db, statements, action) {
  * When more than one statement is provided, all statements will be executed as
  * a batch operation, which implicitly runs as a transaction.
  *
+ * The action may be either a string or an object of query options, as in
+ * dbRawQuery().
+ *
  * The return value is the direct result of executing the query or queries given
  * in sqlargs; this is either a (potentially empty) array of result rows, or an
  * array of such arrays (if a batch). */
 export async function dbFetch(db, action, ...sqlargs) {
-  const statements = dbPrepareStatements(db, action, ...sqlargs);
-  return await dbRawQuery(db, statements, action);
+  return await createClient(db).fetch(action, ...sqlargs);
 }
 
 
@@ -246,8 +118,7 @@ export async function dbFetch(db, action, ...sqlargs) {
  * When executed on a batch statement this will return the entire result set of
  * the first query in the batch, which may or may not be what you expect. */
 export async function dbFetchOne(db, action, ...sqlargs) {
-  const result = await dbFetch(db, action, ...sqlargs);
-  return (result.length >= 1) ? result[0] : null;
+  return await createClient(db).fetchOne(action, ...sqlargs);
 }
 
 
@@ -267,28 +138,95 @@ export async function dbFetchOne(db, action, ...sqlargs) {
  * setup statements that don't return values and one that does without having to
  * closely track the order and count of the statements. */
 export async function dbFetchFirst(db, action, ...sqlargs) {
-  // Prepare and execute just as a raw query would.
-  const statements = dbPrepareStatements(db, action, ...sqlargs);
-  const results = await dbRawQuery(db, statements, action);
-
-  // Ensure that the incoming statements are an array to make the code cleaner,
-  // then find the first statement in the list that can produce a result, if
-  // any.
-  const statementArray = Array.isArray(statements) ? statements : [statements];
-  const firstResultIndex = statementArray.findIndex(stmt => stmt.canProduceResult);
-
-  // If there is no statement that can produce a result, we're done.
-  if (firstResultIndex === -1) {
-    return null;
-  }
-
-  // Get the result set, again setting up to pretend that there is an array of
-  // statements. We can then pull the first element out of that object to
-  // return, if there is one.
-  const resultSet = Array.isArray(statements) ? results[firstResultIndex] : results;
-  const finalResult = (resultSet.length >= 1) ? resultSet[0] : null;
-
-  return finalResult;
+  return await createClient(db).fetchFirst(action, ...sqlargs);
+}
+
+
+/******************************************************************************/
+
+
+/* This executes as dbFetch() does, but instead of returning the results by
+ * position, the return value is an object that holds the results of the
+ * labeled statements, keyed by the name of their label.
+ *
+ * Statements are labeled either by placing a label (see label()) into sqlargs
+ * before the statement, or with a "-- @label name mode" annotation in the SQL.
+ * The mode of a label is one of:
+ *   - all: the value is all of the result rows (the default)
+ *   - one: the value is the first result row, or null if there are none
+ *   - value: the value is the value of the first column of the first result
+ *     row, or null if there are none
+ *
+ * Statements that have no label are executed, but their results are not
+ * returned. Two statements cannot have the same label; note that this means
+ * that a labeled statement can only be bound once. */
+export async function dbFetchLabeled(db, action, ...sqlargs) {
+  return await createClient(db).fetchLabeled(action, ...sqlargs);
+}
+
+
+/******************************************************************************/
+
+
+/* Fetch a single page of the results of the given SELECT statement, using the
+ * given values to bind to it (or null if there are none). The options are:
+ *   - limit: the number of rows in a page; defaults to 50
+ *   - cursor: a cursor from a prior page that selects the page to fetch; when
+ *     null (the default), the first page is fetched
+ *   - mode: either 'keyset' (the default) or 'offset'
+ *
+ * The return value is an object with the "rows" of the page, and a
+ * "nextCursor" and "prevCursor" that can be used to fetch the next and the
+ * previous pages, which are null when there is no such page.
+ *
+ * In keyset mode, the statement must have an ORDER BY clause whose terms are
+ * columns of the result, and pages are selected based on the values of those
+ * columns in the rows at the edge of the prior page; for stable pages, the
+ * columns should together be unique and never NULL, so the last term is
+ * usually a primary key. In offset mode, pages are selected via LIMIT and
+ * OFFSET instead, which is simpler but slower for later pages. In both modes,
+ * the statement cannot have a LIMIT of its own.
+ *
+ * Cursors are opaque tokens that are tied to the statement and bind values
+ * that created them; a cursor that is altered or used with a different query
+ * raises an InvalidCursorError. The cursors are signed with the cursorSecret
+ * query option so that they cannot be forged; an Error is raised if there is
+ * no secret. */
+export async function dbPaginate(db, action, sql, binds = null, options = {}) {
+  return await createClient(db).paginate(action, sql, binds, options);
+}
+
+
+/******************************************************************************/
+
+
+/* Return back an async generator that iterates over all of the results of the
+ * given SELECT statement, using the given values to bind to it (or null if
+ * there are none), without fetching all of them at once. Each value that is
+ * generated is an array of at most chunkSize rows (100 by default), with the
+ * row transforms applied; each chunk is fetched with a separate query, which is
+ * logged as usual.
+ *
+ * The chunks are selected with LIMIT and OFFSET, which is slower for later
+ * chunks, unless the statement has an ORDER BY clause whose terms are all
+ * columns of the result and whose last term is the rowid of the table that it
+ * selects from, in which case they are selected by keyset as in dbPaginate().
+ * A mode of 'keyset' or 'offset' in the options selects the mode instead; use
+ * 'keyset' only when the ORDER BY columns are together unique, such as when the
+ * last of them is a primary key, since rows that share a key with the last row
+ * of a chunk are skipped otherwise. */
+export function dbIterate(db, action, sql, binds = null, options = {}) {
+  return createClient(db).iterate(action, sql, binds, options);
+}
+
+
+/******************************************************************************/
+
+
+/* This executes as dbFetch() does, except that the D1 metadata is returned
+ * along with the result rows, as in dbRawRun(). */
+export async function dbRun(db, action, ...sqlargs) {
+  return await createClient(db).run(action, ...sqlargs);
 }
 
 
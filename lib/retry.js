@@ -0,0 +1,102 @@
+/******************************************************************************/
+
+
+/* Patterns that match the messages of errors that D1 raises for failures that
+ * are transient in nature; the query did not fail because of anything to do
+ * with the query itself, and trying again after a short delay is likely to
+ * succeed. */
+const transientErrorPatterns = [
+  /network connection lost/i,
+  /connection reset/i,
+  /is overloaded/i,
+  /storage operation exceeded timeout/i,
+  /storage caused object to be reset/i,
+  /cannot resolve D1 DB due to transient issue/i,
+  /isolate exceeded its memory limit and was reset/i,
+  /internal error while starting up D1 DB storage/i
+];
+
+
+/******************************************************************************/
+
+
+/* Given an error that was raised while executing a query, return back true if
+ * the error is a transient one that is safe to retry, or false if it is not.
+ *
+ * This is the default classifier used in retry policies. */
+export function isRetryableError(err) {
+  const message = err?.message ?? '';
+  return transientErrorPatterns.some(pattern => pattern.test(message));
+}
+
+
+/******************************************************************************/
+
+
+/* The retry policy that is used by default. Queries are attempted at most three
+ * times, with an exponentially increasing delay between attempts; the delay
+ * is randomized (jittered) between 0 and the computed delay, so that a burst of
+ * failing requests does not retry in lock step.
+ *
+ * Only queries in which every statement is read only are retried unless the
+ * readOnlyOnly option is false, since a write that failed transiently may or
+ * may not have actually been applied. */
+export const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  baseDelay: 100,
+  maxDelay: 2000,
+  jitter: true,
+  readOnlyOnly: true,
+  isRetryable: isRetryableError
+};
+
+
+/******************************************************************************/
+
+
+/* Given a retry policy and the number of the attempt that just failed (where
+ * the first attempt is 1), return back the number of milliseconds to wait
+ * before making the next attempt. */
+export function retryDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * (2 ** (attempt - 1)));
+  return policy.jitter === true ? Math.round(Math.random() * delay) : delay;
+}
+
+
+/******************************************************************************/
+
+
+/* Invoke the given async operation, retrying it according to the given retry
+ * policy if it fails; a policy of null means that no retries are made.
+ *
+ * The readOnly flag indicates if the operation only reads data, which controls
+ * whether it is retried at all when the policy only retries reads.
+ *
+ * The report function is invoked for every attempt that fails, with the error,
+ * the attempt number, the maximum number of attempts and the delay before the
+ * next attempt, which is null when the operation will not be retried. The
+ * final error is raised once no more attempts will be made. */
+export async function withRetry(operation, policy, readOnly, report) {
+  const resolved = (policy === null || policy === undefined) ? null : { ...DEFAULT_RETRY, ...policy };
+  const canRetry = resolved !== null && (readOnly === true || resolved.readOnlyOnly === false);
+  const maxAttempts = canRetry ? resolved.maxAttempts : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (err) {
+      const retry = attempt < maxAttempts && resolved.isRetryable(err, attempt) === true;
+      const delay = retry ? retryDelay(resolved, attempt) : null;
+
+      report(err, attempt, maxAttempts, delay);
+      if (retry === false) {
+        throw err;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+
+/******************************************************************************/
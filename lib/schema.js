@@ -0,0 +1,860 @@
+/******************************************************************************/
+
+
+import { parseStatements } from './statement.js';
+import { SQLSchemaError, sourceLocation } from './errors.js';
+
+import { show } from './sqlite.js';
+
+
+/******************************************************************************/
+
+
+/* Given a node in the CST that names a table, possibly with the schema that it
+ * is in (such as "main.Users"), return back the name of the table. */
+function tableName(node) {
+  return node.type === 'member_expr' ? node.property.name : node.name;
+}
+
+
+/* Given the list of constraints on a column definition in the CST, return back
+ * true if any of them is of the given type. */
+function hasConstraint(constraints, type) {
+  return (constraints ?? []).some(constraint => constraint.type === type);
+}
+
+
+/* Given a column definition in the CST, return back the column that it defines;
+ * this has the "name" of the column, its declared "type" (or null if it has
+ * none), whether it is "notNull" and whether it is "generated" from the other
+ * columns, in which case it cannot be inserted into. An INTEGER PRIMARY KEY is
+ * an alias for the rowid of the table, and so can never be null. */
+function columnDefinition(node) {
+  const dataType = node.dataType?.type === 'modified_data_type' ? node.dataType.dataType : node.dataType;
+  const type = dataType !== undefined ? [dataType.name].flat().map(part => part.name).join(' ') : null;
+
+  const notNull = hasConstraint(node.constraints, 'constraint_not_null') ||
+                  (type === 'INTEGER' && hasConstraint(node.constraints, 'constraint_primary_key'));
+
+  return { name: node.name.name, type, notNull, generated: hasConstraint(node.constraints, 'constraint_generated') };
+}
+
+
+/* The tables that SQLite has in every database, which can be used even though
+ * no schema creates them; these are keyed and have their columns as in the
+ * tables of a SchemaCatalog. The schema tables have two names each, and the
+ * sequence table only exists once a table uses AUTOINCREMENT. */
+const BUILTIN_TABLES = new Map([
+  ...['sqlite_schema', 'sqlite_master', 'sqlite_temp_schema', 'sqlite_temp_master'].map(name => [name, {
+    name,
+    columns: [['type', 'text'], ['name', 'text'], ['tbl_name', 'text'], ['rootpage', 'int'], ['sql', 'text']]
+      .map(([column, type]) => ({ name: column, type, notNull: false, generated: false }))
+  }]),
+  ['sqlite_sequence', {
+    name: 'sqlite_sequence',
+    columns: ['name', 'seq'].map(column => ({ name: column, type: null, notNull: false, generated: false }))
+  }]
+]);
+
+
+/* Given the CST of a CREATE VIEW statement and the catalog, return back the
+ * columns of the view (as in columnDefinition()), or null if they cannot be
+ * determined. The names of the columns can be given by the view itself, in
+ * which case the columns of its query only provide their types. */
+function viewColumns(ast, catalog) {
+  const names = ast.columns?.expr.items.map(item => item.name.name) ?? null;
+  const query = ast.clauses.find(clause => clause.type === 'as_clause').expr;
+  const columns = statementColumns(query, catalog);
+  if (columns === null || (names !== null && names.length !== columns.length)) {
+    return names?.map(name => ({ name, type: null, notNull: false })) ?? null;
+  }
+
+  return columns.map((column, index) => ({
+    name: names?.[index] ?? column.name,
+    type: column.type,
+    notNull: column.nullable === false
+  }));
+}
+
+
+/******************************************************************************/
+
+
+/* A schema catalog holds the tables of a database schema along with their
+ * columns, as given by the CREATE TABLE statements (and any ALTER TABLE and
+ * DROP TABLE statements) in one or more schema files, and the indexes on them;
+ * migrations can be applied in order to build up the schema that results from
+ * them.
+ *
+ * The catalog can then resolve the columns that a statement returns to their
+ * declared types and whether they can be null, which is used to type the rows
+ * that statements in imported SQL files produce, and can validate that the
+ * statements only refer to tables, columns and indexes that exist. */
+export class SchemaCatalog {
+  /* The tables in the schema, keyed by the lower cased name of the table, since
+   * SQLite table names are not case sensitive. Each table has its "name" and
+   * an array of its "columns" (see columnDefinition()); views are also tables,
+   * and the columns of virtual tables and views whose columns cannot be
+   * determined are null. */
+  tables;
+
+  /* The indexes in the schema, keyed by the lower cased name of the index; each
+   * has its "name" and the name of the "table" that it indexes. */
+  indexes;
+
+  constructor() {
+    this.tables = new Map();
+    this.indexes = new Map();
+  }
+
+  /* Given the name of a table, return back the table, or null if there is no
+   * such table in the schema; the tables that SQLite has in every database are
+   * always in the schema. */
+  table(name) {
+    return this.tables.get(name.toLowerCase()) ?? BUILTIN_TABLES.get(name.toLowerCase()) ?? null;
+  }
+
+  /* Given the name of an index, return back the index, or null if there is no
+   * such index in the schema. */
+  index(name) {
+    return this.indexes.get(name.toLowerCase()) ?? null;
+  }
+
+  /* Return back a new catalog with a copy of the schema in this one, which can
+   * be changed without changing this one. */
+  copy() {
+    const catalog = new SchemaCatalog();
+    catalog.tables = structuredClone(this.tables);
+    catalog.indexes = structuredClone(this.indexes);
+    return catalog;
+  }
+
+  /* Apply the statements in the given SQL to the schema; the source name is
+   * used to identify the SQL in syntax errors. Statements other than those
+   * that create, alter or drop tables, views and indexes are ignored, as are
+   * tables that are created from a SELECT. */
+  apply(sql, sourceName = 'schema') {
+    for (const { ast } of parseStatements(sql, sourceName)) {
+      this.applyStatement(ast);
+    }
+
+    return this;
+  }
+
+  /* Apply the CST of a single statement to the schema, as in apply(). */
+  applyStatement(ast) {
+    if (ast.type === 'create_table_stmt' && ast.columns !== undefined) {
+      const name = tableName(ast.name);
+      const columns = ast.columns.expr.items
+        .filter(item => item.type === 'column_definition')
+        .map(columnDefinition);
+      this.tables.set(name.toLowerCase(), { name, columns });
+    } else if (ast.type === 'create_table_stmt' && ast.kind?.kindKw.name === 'VIRTUAL') {
+      const name = tableName(ast.name);
+      this.tables.set(name.toLowerCase(), { name, columns: null });
+    } else if (ast.type === 'create_view_stmt') {
+      const name = tableName(ast.name);
+      this.tables.set(name.toLowerCase(), { name, columns: viewColumns(ast, this) });
+    } else if (ast.type === 'drop_view_stmt') {
+      ast.views.items.forEach(item => this.tables.delete(tableName(item).toLowerCase()));
+    } else if (ast.type === 'drop_table_stmt') {
+      for (const item of ast.tables.items) {
+        const name = tableName(item).toLowerCase();
+        this.tables.delete(name);
+        this.indexes.forEach((index, key) => index.table.toLowerCase() === name && this.indexes.delete(key));
+      }
+    } else if (ast.type === 'alter_table_stmt') {
+      this.alter(tableName(ast.table), ast.actions.items);
+    } else if (ast.type === 'create_index_stmt') {
+      const name = tableName(ast.name);
+      this.indexes.set(name.toLowerCase(), { name, table: tableName(ast.table) });
+    } else if (ast.type === 'drop_index_stmt') {
+      ast.indexes.items.forEach(item => this.indexes.delete(tableName(item).toLowerCase()));
+    }
+  }
+
+  /* Apply the actions of an ALTER TABLE statement to the table with the given
+   * name; tables that are not in the schema are ignored, as are the tables
+   * that SQLite has in every database, which cannot be altered. */
+  alter(name, actions) {
+    const table = this.tables.get(name.toLowerCase()) ?? null;
+    if (table === null || table.columns === null) {
+      return;
+    }
+
+    const isColumn = (column, node) => column.name.toLowerCase() === node.name.toLowerCase();
+    for (const action of actions) {
+      if (action.type === 'alter_action_add_column') {
+        table.columns.push(columnDefinition(action.column));
+      } else if (action.type === 'alter_action_drop_column') {
+        table.columns = table.columns.filter(column => isColumn(column, action.column) === false);
+      } else if (action.type === 'alter_action_rename_column') {
+        const column = table.columns.find(column => isColumn(column, action.oldName));
+        if (column !== undefined) {
+          column.name = action.newName.name;
+        }
+      } else if (action.type === 'alter_action_rename') {
+        this.tables.delete(table.name.toLowerCase());
+        this.indexes.forEach(index => {
+          if (index.table.toLowerCase() === table.name.toLowerCase()) {
+            index.table = action.newName.name;
+          }
+        });
+        table.name = action.newName.name;
+        this.tables.set(table.name.toLowerCase(), table);
+      }
+    }
+  }
+
+  /* Given the SQL of a single statement, return back an array of the columns
+   * in the rows that it produces, in order; each has the "name" of the column
+   * in the result, its declared "type" (or null if it is not known) and
+   * whether it is "nullable". Columns that cannot be resolved against the
+   * schema have an unknown type and are nullable.
+   *
+   * The return value is null if the statement does not produce rows, or if the
+   * names of the columns cannot be determined, such as when selecting all of
+   * the columns of a subquery. */
+  resultColumns(sql) {
+    const [statement] = parseStatements(sql);
+    return statement === undefined ? null : statementColumns(statement.ast, this);
+  }
+
+  /* Validate the statements in the given SQL against the schema, raising an
+   * SQLSchemaError at the first statement that refers to a table, column or
+   * index that does not exist, or that inserts a different number of values
+   * than there are columns to insert into; the source name is used to identify
+   * the SQL in errors, which carry the line and column of the problem.
+   *
+   * Statements that change the schema, such as CREATE TABLE, are applied as
+   * they are seen, so that later statements can use what they create; this
+   * does not change the catalog. References that cannot be resolved because
+   * they are to the columns of a subquery or common table expression whose
+   * columns are not known are assumed to be valid. */
+  validate(sql, sourceName = 'unknown_action') {
+    const catalog = this.copy();
+    const fail = (node, message) => {
+      const location = sourceLocation(sql, sourceName, node.range[0]);
+      throw new SQLSchemaError(`${sourceName}:${location.line}:${location.column}: ${message}`, location);
+    };
+
+    for (const { ast } of parseStatements(sql, sourceName, true)) {
+      checkStatement(ast, { catalog, fail }, null);
+      catalog.applyStatement(ast);
+    }
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given the CST of a statement and the catalog, return back the columns of the
+ * rows that it produces, as in SchemaCatalog.resultColumns(). */
+function statementColumns(ast, catalog) {
+  if (ast.type === 'select_stmt') {
+    return selectColumns(ast, catalog);
+  }
+
+  // The columns of a compound select are named by the first select, but their
+  // types come from all of them.
+  if (ast.type === 'compound_select_stmt') {
+    const left = statementColumns(ast.left, catalog);
+    const right = statementColumns(ast.right, catalog);
+    if (left === null || right === null || left.length !== right.length) {
+      return left?.map(column => ({ ...column, type: null, nullable: true })) ?? null;
+    }
+
+    return left.map((column, index) => ({
+      name: column.name,
+      type: column.type === right[index].type ? column.type : null,
+      nullable: column.nullable || right[index].nullable
+    }));
+  }
+
+  // Statements that modify a table can return rows from it.
+  const returning = ast.clauses?.find(clause => clause.type === 'returning_clause');
+  if (returning === undefined) {
+    return null;
+  }
+
+  const clause = ast.clauses[0];
+  const target = clause.table ?? clause.tables?.items[0];
+  return target === undefined ? null : columnList(returning.columns.items, sourceScope(target, catalog, new Set()));
+}
+
+
+/* Given the CST of a select statement and the catalog, return back the columns
+ * of the rows that it produces. */
+function selectColumns(ast, catalog) {
+  const select = ast.clauses.find(clause => clause.type === 'select_clause');
+  const from = ast.clauses.find(clause => clause.type === 'from_clause');
+
+  // Tables defined by common table expressions hide tables in the schema, but
+  // their columns are not known.
+  const withClause = ast.clauses.find(clause => clause.type === 'with_clause');
+  const hidden = new Set((withClause?.tables.items ?? []).map(cte => cte.table.name.toLowerCase()));
+
+  const scope = from !== undefined ? sourceScope(from.expr, catalog, hidden) : [];
+  return columnList(select.columns.items, scope);
+}
+
+
+/******************************************************************************/
+
+
+/* Given the CST of the sources of a query (a FROM clause or the target of a
+ * statement), the catalog and the names of tables whose columns are hidden,
+ * return back the scope of the query; this is an array of the sources, each of
+ * which has the "alias" that it is referred to by, its "table" (or null if its
+ * columns are not known) and whether it is "nullable" because it is on the
+ * outer side of an outer join.
+ *
+ * When outer is true, the sources are all on the outer side of a join. */
+function sourceScope(node, catalog, hidden, outer = false) {
+  if (node.type === 'join_expr') {
+    const operator = [node.operator].flat().map(part => part.name ?? part);
+    const left = sourceScope(node.left, catalog, hidden, outer || operator.includes('RIGHT') || operator.includes('FULL'));
+    const right = sourceScope(node.right, catalog, hidden, outer || operator.includes('LEFT') || operator.includes('FULL'));
+    return [...left, ...right];
+  }
+
+  // The index that is used for a table does not change its columns.
+  if (node.type === 'indexed_table' || node.type === 'not_indexed_table') {
+    node = node.table;
+  }
+
+  let alias = null;
+  if (node.type === 'alias') {
+    alias = node.alias.name;
+    node = node.expr;
+  }
+
+  // A parenthesized join is a join, while other parenthesized sources are
+  // subqueries.
+  if (node.type === 'paren_expr' && node.expr.type === 'join_expr') {
+    return sourceScope(node.expr, catalog, hidden, outer);
+  }
+
+  const name = (node.type === 'identifier' || node.type === 'member_expr') ? tableName(node) : null;
+  const table = name !== null && hidden.has(name.toLowerCase()) === false ? catalog.table(name) : null;
+  return [{ alias: (alias ?? name)?.toLowerCase() ?? null, table: table?.columns === null ? null : table, nullable: outer }];
+}
+
+
+/* Given the CST of the list of result columns of a query and its scope, return
+ * back the columns that the list produces, or null if the names of the columns
+ * cannot be determined. */
+function columnList(items, scope) {
+  const columns = [];
+
+  for (const item of items) {
+    // All of the columns of all of the sources, or of a single source.
+    if (item.type === 'all_columns' ||
+        (item.type === 'member_expr' && item.property.type === 'all_columns')) {
+      const alias = item.type === 'member_expr' ? tableName(item.object).toLowerCase() : null;
+      const sources = scope.filter(source => alias === null || source.alias === alias);
+      if (sources.length === 0 || sources.some(source => source.table === null)) {
+        return null;
+      }
+
+      for (const source of sources) {
+        columns.push(...source.table.columns.map(column => ({
+          name: column.name,
+          type: column.type,
+          nullable: column.notNull === false || source.nullable
+        })));
+      }
+      continue;
+    }
+
+    const expr = item.type === 'alias' ? item.expr : item;
+    const name = item.type === 'alias' ? item.alias.name : columnName(expr);
+    columns.push({ name, ...expressionType(expr, scope) });
+  }
+
+  return columns;
+}
+
+
+/* Given the CST of an expression in a list of result columns, return back the
+ * name that SQLite gives the column that it produces when it has no alias; a
+ * reference to a column uses the name of the column, while any other
+ * expression uses its text. */
+function columnName(expr) {
+  if (expr.type === 'identifier') {
+    return expr.name;
+  }
+  if (expr.type === 'member_expr' && expr.property.type === 'identifier') {
+    return expr.property.name;
+  }
+
+  return show(expr).trim();
+}
+
+
+/* Given the CST of an expression in a list of result columns and the scope of
+ * the query, return back the declared type of the value of the expression and
+ * whether it is nullable. Only references to columns and a handful of simple
+ * expressions have a known type. */
+function expressionType(expr, scope) {
+  const unknown = { type: null, nullable: true };
+
+  switch (expr.type) {
+    case 'number_literal':
+      return { type: Number.isInteger(expr.value) ? 'INTEGER' : 'REAL', nullable: false };
+
+    case 'string_literal':
+      return { type: 'TEXT', nullable: false };
+
+    case 'cast_expr':
+      return { type: [expr.args.expr.dataType.name].flat().map(part => part.name).join(' '),
+               nullable: expressionType(expr.args.expr.expr, scope).nullable };
+
+    case 'func_call': {
+      const name = expr.name.name?.toLowerCase();
+      return name === 'count' ? { type: 'INTEGER', nullable: false } : unknown;
+    }
+
+    case 'paren_expr':
+      return expr.expr.type === 'select_stmt' ? unknown : expressionType(expr.expr, scope);
+
+    case 'identifier':
+    case 'member_expr': {
+      const alias = expr.type === 'member_expr' ? tableName(expr.object).toLowerCase() : null;
+      const name = expr.type === 'member_expr' ? expr.property.name : expr.name;
+      for (const source of scope.filter(source => alias === null || source.alias === alias)) {
+        // A column that could be in a source whose columns are not known can
+        // not be resolved.
+        if (source.table === null) {
+          return unknown;
+        }
+
+        const column = source.table.columns.find(column => column.name.toLowerCase() === name?.toLowerCase());
+        if (column !== undefined) {
+          return { type: column.type, nullable: column.notNull === false || source.nullable };
+        }
+      }
+      return unknown;
+    }
+
+    default:
+      return unknown;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a table whose columns are known and the name of a column, return back
+ * true if the table has that column; every table also has a rowid, which can
+ * be referred to by any of its names. */
+function hasColumn(table, name) {
+  const key = name.toLowerCase();
+  return ['rowid', 'oid', '_rowid_'].includes(key) ||
+         table.columns.some(column => column.name.toLowerCase() === key);
+}
+
+
+/* Create and return a new scope for validating the references in a statement
+ * that is nested in the given parent scope (or null for a top level statement).
+ * The scope has the "sources" of the statement (as in sourceScope()), the
+ * names of the result columns that can be referred to by their "aliases", and
+ * the tables defined by the common table expressions of the statement in
+ * "ctes", keyed by their lower cased names. */
+function createScope(parent, aliases = []) {
+  return {
+    sources: [],
+    aliases: new Set(aliases.map(alias => alias.toLowerCase())),
+    ctes: new Map(),
+    parent
+  };
+}
+
+
+/* Given a scope and the name of a table, return back the table that a common
+ * table expression in the scope (or any of its parents) defines with that name,
+ * which is null if its columns are not known, or undefined if there is no such
+ * common table expression. */
+function findCte(scope, name) {
+  for (let current = scope; current !== null; current = current.parent) {
+    if (current.ctes.has(name.toLowerCase())) {
+      return current.ctes.get(name.toLowerCase());
+    }
+  }
+
+  return undefined;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the CST of a statement, the validation context (which has the catalog
+ * and the function to report a problem with) and the scope of the statement
+ * that it is nested in (or null), validate the references in the statement
+ * (see SchemaCatalog.validate()). The aliases are the names of result columns
+ * that the statement can also refer to, which is how the ORDER BY of a
+ * compound select refers to its columns. */
+function checkStatement(ast, ctx, parent, aliases = []) {
+  const { catalog, fail } = ctx;
+  const scope = createScope(parent, aliases);
+  const clauses = ast.clauses ?? [];
+  const clause = type => clauses.find(item => item.type === type);
+  const conditions = [];
+
+  switch (ast.type) {
+    case 'compound_select_stmt':
+      checkStatement(ast.left, ctx, parent);
+      checkStatement(ast.right, ctx, parent, statementColumns(ast.left, catalog)?.map(column => column.name));
+      return;
+
+    case 'select_stmt': {
+      checkCtes(clause('with_clause'), ctx, scope);
+      const from = clause('from_clause');
+      if (from !== undefined) {
+        scope.sources = checkSources(from.expr, ctx, scope, conditions);
+      }
+
+      // The aliases of the result columns can be used anywhere in the select.
+      for (const item of clause('select_clause')?.columns.items ?? []) {
+        if (item.type === 'alias') {
+          scope.aliases.add(item.alias.name.toLowerCase());
+        }
+      }
+
+      checkExpr(clauses.filter(item => item.type !== 'with_clause' && item.type !== 'from_clause'), ctx, scope);
+      break;
+    }
+
+    case 'insert_stmt': {
+      checkCtes(clause('with_clause'), ctx, scope);
+      const insert = clause('insert_clause');
+      const [target] = checkSources(insert.table, ctx, scope, conditions);
+      scope.sources = [target];
+
+      // The number of values inserted must match the number of columns, which
+      // are either those that are named or every column in the table that is
+      // not generated.
+      const columns = insert.columns?.expr.items ?? null;
+      columns?.forEach(column => checkTableColumn(column, target, ctx));
+      const count = columns?.length ?? target.table?.columns.filter(column => column.generated !== true).length;
+      const checkCount = (node, values) => {
+        if (count !== undefined && values !== count) {
+          fail(node, `${values} values for ${count} columns`);
+        }
+      };
+
+      for (const item of clauses) {
+        if (item.type === 'values_clause') {
+          for (const row of item.values.items) {
+            checkCount(row, row.type === 'paren_expr' && row.expr.type === 'list_expr' ? row.expr.items.length : 1);
+          }
+          checkExpr(item, ctx, createScope(parent));
+        } else if (item.type === 'select_stmt' || item.type === 'compound_select_stmt') {
+          checkStatement(item, ctx, parent);
+          const selected = statementColumns(item, catalog);
+          if (selected !== null) {
+            checkCount(item, selected.length);
+          }
+        } else if (item.type === 'upsert_clause') {
+          // The values that were to be inserted are available as "excluded".
+          const upsert = createScope(parent);
+          upsert.sources = [target, { ...target, alias: 'excluded' }];
+          checkAssignments(item.action.set, target, ctx, upsert);
+          checkExpr([item.conflictTarget, item.where, item.action.where], ctx, upsert);
+        } else if (item.type !== 'with_clause' && item.type !== 'insert_clause') {
+          checkExpr(item, ctx, scope);
+        }
+      }
+      return;
+    }
+
+    case 'update_stmt':
+    case 'delete_stmt': {
+      checkCtes(clause('with_clause'), ctx, scope);
+      const tables = (clause('update_clause') ?? clause('delete_clause')).tables;
+      const [target] = checkSources(tables.items[0], ctx, scope, conditions);
+      scope.sources = [target];
+
+      const from = clause('from_clause');
+      if (from !== undefined) {
+        scope.sources.push(...checkSources(from.expr, ctx, scope, conditions));
+      }
+
+      for (const item of clauses) {
+        if (item.type === 'set_clause') {
+          checkAssignments(item, target, ctx, scope);
+        } else if (['with_clause', 'update_clause', 'delete_clause', 'from_clause'].includes(item.type) === false) {
+          checkExpr(item, ctx, scope);
+        }
+      }
+      break;
+    }
+
+    case 'create_index_stmt': {
+      scope.sources = checkSources(ast.table, ctx, scope, conditions);
+      checkExpr([ast.columns, ast.clauses], ctx, scope);
+      return;
+    }
+
+    case 'alter_table_stmt': {
+      const [target] = checkSources(ast.table, ctx, scope, conditions);
+      for (const action of ast.actions.items) {
+        const column = action.type === 'alter_action_rename_column' ? action.oldName : action.column;
+        if (action.type === 'alter_action_drop_column' || action.type === 'alter_action_rename_column') {
+          checkTableColumn(column, target, ctx);
+        }
+      }
+      return;
+    }
+
+    case 'drop_table_stmt':
+    case 'drop_view_stmt':
+      if (ast.ifExistsKw === undefined) {
+        (ast.tables ?? ast.views).items.forEach(item => checkSources(item, ctx, scope, conditions));
+      }
+      return;
+
+    case 'drop_index_stmt':
+      for (const item of ast.ifExistsKw === undefined ? ast.indexes.items : []) {
+        if (catalog.index(tableName(item)) === null) {
+          fail(item, `no such index '${tableName(item)}'`);
+        }
+      }
+      return;
+
+    default:
+      return;
+  }
+
+  // The conditions that join sources together can refer to any of them.
+  checkExpr(conditions, ctx, scope);
+}
+
+
+/* Given the WITH clause of a statement (or undefined if it has none), the
+ * validation context and the scope of the statement, validate the common table
+ * expressions in it and add the tables that they define to the scope. A common
+ * table expression can refer to itself and to those defined before it. */
+function checkCtes(withClause, ctx, scope) {
+  for (const cte of withClause?.tables.items ?? []) {
+    const name = cte.table.name;
+    scope.ctes.set(name.toLowerCase(), null);
+
+    const body = cte.expr.expr;
+    checkStatement(body, ctx, scope);
+
+    const names = cte.columns?.expr.items.map(item => item.name) ??
+                  statementColumns(body, ctx.catalog)?.map(column => column.name) ?? null;
+    scope.ctes.set(name.toLowerCase(), names === null ? null : { name, columns: names.map(name => ({ name })) });
+  }
+}
+
+
+/* Given the CST of the sources of a statement (a FROM clause or the target of a
+ * statement), the validation context, the scope of the statement and an array
+ * to add the conditions of any joins to, validate the sources and return them
+ * back (as in sourceScope()).
+ *
+ * Every table and index that is named must exist, while subqueries are
+ * validated in turn; a source whose columns are not known has a null table. */
+function checkSources(node, ctx, scope, conditions) {
+  if (node.type === 'join_expr') {
+    if (node.specification?.type === 'join_on_specification') {
+      conditions.push(node.specification.expr);
+    }
+    // The sources to the left of a join can be referred to by the arguments of
+    // a table valued function on its right, such as json_each(Users.data).
+    const left = checkSources(node.left, ctx, scope, conditions);
+    const lateral = { ...scope, sources: [...scope.sources, ...left] };
+    return [...left, ...checkSources(node.right, ctx, lateral, conditions)];
+  }
+
+  if (node.type === 'indexed_table' || node.type === 'not_indexed_table') {
+    if (node.index !== undefined && ctx.catalog.index(tableName(node.index)) === null) {
+      ctx.fail(node.index, `no such index '${tableName(node.index)}'`);
+    }
+    node = node.table;
+  }
+
+  let alias = null;
+  if (node.type === 'alias') {
+    alias = node.alias.name;
+    node = node.expr;
+  }
+
+  if (node.type === 'paren_expr') {
+    if (node.expr.type === 'join_expr') {
+      return checkSources(node.expr, ctx, scope, conditions);
+    }
+
+    checkStatement(node.expr, ctx, scope);
+    const columns = statementColumns(node.expr, ctx.catalog);
+    return [{ alias: alias?.toLowerCase() ?? null, table: columns === null ? null : { name: alias, columns } }];
+  }
+
+  // Table valued functions, such as json_each(), have arguments but their
+  // columns are not known.
+  if (node.type === 'func_call') {
+    checkExpr(node.args, ctx, scope);
+    return [{ alias: (alias ?? node.name.name).toLowerCase(), table: null }];
+  }
+
+  if (node.type !== 'identifier' && node.type !== 'member_expr') {
+    return [{ alias: alias?.toLowerCase() ?? null, table: null }];
+  }
+
+  const name = tableName(node);
+  let table = findCte(scope, name);
+  if (table === undefined) {
+    table = ctx.catalog.table(name);
+    if (table === null) {
+      ctx.fail(node, `no such table '${name}'`);
+    }
+  }
+
+  return [{ alias: (alias ?? name).toLowerCase(), table: table?.columns === null ? null : table }];
+}
+
+
+/* Given the SET clause of a statement, the source that it sets the columns of,
+ * the validation context and the scope of the statement, validate that every
+ * column that is set exists, and the references in the values set. */
+function checkAssignments(set, target, ctx, scope) {
+  for (const assignment of set?.assignments.items ?? []) {
+    const columns = assignment.column.type === 'paren_expr' ? assignment.column.expr.items : [assignment.column];
+    columns.forEach(column => checkTableColumn(column, target, ctx));
+    checkExpr(assignment.expr, ctx, scope);
+  }
+}
+
+
+/* Given the CST of the name of a column, the source that it must be a column of
+ * and the validation context, fail if the source does not have that column. */
+function checkTableColumn(node, source, ctx) {
+  if (source.table !== null && hasColumn(source.table, node.name) === false) {
+    ctx.fail(node, `table '${source.table.name}' has no column '${node.name}'`);
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given the CST of an expression (or an array of them), the validation context
+ * and the scope of the statement that it is in, validate that every column
+ * that the expression refers to exists in the scope; subqueries are validated
+ * as statements nested in the scope. */
+function checkExpr(node, ctx, scope) {
+  if (node === null || typeof node !== 'object') {
+    return;
+  }
+  if (Array.isArray(node)) {
+    node.forEach(item => checkExpr(item, ctx, scope));
+    return;
+  }
+
+  switch (node.type) {
+    case 'identifier':
+      checkColumn(node, null, ctx, scope);
+      return;
+
+    case 'member_expr':
+      if (node.object.type === 'identifier' && node.property.type === 'identifier') {
+        checkColumn(node.property, node.object, ctx, scope);
+      } else if (node.property.type === 'all_columns') {
+        checkColumn(null, node.object, ctx, scope);
+      }
+      return;
+
+    // Only the expression of an alias, the arguments of a function and the
+    // value of a cast refer to columns; the rest are names.
+    case 'alias':
+      checkExpr(node.expr, ctx, scope);
+      return;
+
+    case 'func_call':
+      checkExpr([node.args, node.filter, node.over?.window?.type === 'identifier' ? null : node.over], ctx, scope);
+      return;
+
+    case 'cast_arg':
+      checkExpr(node.expr, ctx, scope);
+      return;
+
+    case 'named_window':
+      checkExpr(node.window, ctx, scope);
+      return;
+
+    case 'binary_expr':
+      if (node.operator.name === 'COLLATE') {
+        checkExpr(node.left, ctx, scope);
+        return;
+      }
+      break;
+
+    case 'select_stmt':
+    case 'compound_select_stmt':
+      checkStatement(node, ctx, scope);
+      return;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'range' && key !== 'leading' && key !== 'trailing') {
+      checkExpr(value, ctx, scope);
+    }
+  }
+}
+
+
+/* Given the CST of the name of a column (or null, for all of the columns) and of
+ * the table that it is qualified by (or null), the validation context and the
+ * scope that the column is referred to in, fail if the column does not exist.
+ *
+ * An unqualified column can be in any source in the scope or its parents, or
+ * be the alias of a result column. SQLite treats a double quoted name that is
+ * not a column as a string, so those never fail. */
+function checkColumn(node, object, ctx, scope) {
+  if (object === null) {
+    for (let current = scope; current !== null; current = current.parent) {
+      if (current.aliases.has(node.name.toLowerCase()) ||
+          current.sources.some(source => source.table === null || hasColumn(source.table, node.name))) {
+        return;
+      }
+    }
+
+    if (node.text.startsWith('"') === false) {
+      ctx.fail(node, `no such column '${node.name}'`);
+    }
+    return;
+  }
+
+  for (let current = scope; current !== null; current = current.parent) {
+    const source = current.sources.find(source => source.alias === object.name.toLowerCase());
+    if (source !== undefined) {
+      if (node !== null && source.table !== null && hasColumn(source.table, node.name) === false) {
+        ctx.fail(node, `no such column '${object.name}.${node.name}'`);
+      }
+      return;
+    }
+  }
+
+  ctx.fail(object, `no such table '${object.name}'`);
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return a new schema catalog, applying each of the given SQL
+ * strings (such as the contents of schema files or migrations) to it in
+ * order. */
+export function createSchemaCatalog(...sql) {
+  const catalog = new SchemaCatalog();
+  sql.forEach(text => catalog.apply(text));
+  return catalog;
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,210 @@
+/******************************************************************************/
+
+
+import { SQLBindError } from './errors.js';
+
+
+/******************************************************************************/
+
+
+/* The built in bind types that can be used in a serialization parameter map to
+ * convert the values that are bound to a statement into something that D1 can
+ * store; these are the reverse of the column types used by row transforms.
+ *
+ * D1 can only store null, numbers, strings and blobs (and booleans, which it
+ * stores as integers). */
+export const BIND_TYPES = {
+  // A Date stored as an ISO-8601 string.
+  iso: value => value.toISOString(),
+
+  // A Date stored as a number of milliseconds since the epoch.
+  epoch: value => value.getTime(),
+
+  // A Date stored as a number of seconds since the epoch, as unixepoch() does.
+  unixepoch: value => Math.floor(value.getTime() / 1000),
+
+  // Any value stored as JSON encoded text.
+  json: value => JSON.stringify(value),
+
+  // Any value stored as 1 if it is truthy or 0 if it is not.
+  boolean: value => value ? 1 : 0
+};
+
+
+/******************************************************************************/
+
+
+/* The bind serialization options that are used by default; dates are stored as
+ * ISO-8601 strings, plain objects and arrays are stored as JSON, and there are
+ * no conversions for specific parameters. */
+export const DEFAULT_SERIALIZATION = {
+  dates: 'iso',
+  json: true,
+  params: {}
+};
+
+
+/******************************************************************************/
+
+
+/* Given two sets of bind serialization options, merge them together such that
+ * the options in the override take precedence over those in the base, returning
+ * the result. The parameter maps of the two are merged, rather than one
+ * replacing the other.
+ *
+ * An override of null disables serialization entirely, while an undefined
+ * override leaves the base as is. */
+export function mergeSerialization(base, override) {
+  if (override === undefined) {
+    return base;
+  }
+  if (override === null || base === null || base === undefined) {
+    return override;
+  }
+
+  return {
+    ...base,
+    ...override,
+    params: { ...base.params, ...override.params }
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a bind type, which is either the name of one of the built in bind types
+ * or a function, return back the function that converts values of that type;
+ * the label says what the type is for, for use in errors. */
+function serializerFor(type, label) {
+  if (typeof type === 'function') {
+    return type;
+  }
+
+  const serializer = BIND_TYPES[type];
+  if (serializer === undefined) {
+    throw new Error(`unknown bind type '${type}' for ${label}`);
+  }
+  return serializer;
+}
+
+
+/* Given a value that is about to be bound, the name of the parameter that it is
+ * being bound to (for errors) and the serialization options, return back the
+ * value converted into a form that D1 can store, raising an SQLBindError if it
+ * cannot be stored. */
+function serializeValue(value, name, serialization) {
+  if (value === null || typeof value === 'string') {
+    return value;
+  }
+
+  if (value === undefined) {
+    throw new SQLBindError(`bind parameter ${name} is undefined`);
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(value) === false) {
+      throw new SQLBindError(`bind parameter ${name} is not a finite number`);
+    }
+    return value;
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+
+  // BigInts are converted to numbers, but only when that does not change them.
+  if (typeof value === 'bigint') {
+    if (value < BigInt(Number.MIN_SAFE_INTEGER) || value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new SQLBindError(`bind parameter ${name} is a BigInt that is outside of the safe integer range`);
+    }
+    return Number(value);
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new SQLBindError(`bind parameter ${name} is an invalid Date`);
+    }
+    return serializerFor(serialization.dates, 'dates')(value, name);
+  }
+
+  // Blobs are stored from an ArrayBuffer; views onto a buffer are copied into
+  // their own buffer, so that only the viewed bytes are stored.
+  if (value instanceof ArrayBuffer) {
+    return value;
+  }
+  if (ArrayBuffer.isView(value)) {
+    return value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+  }
+
+  const prototype = typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+  const isPlain = Array.isArray(value) || prototype === Object.prototype || prototype === null;
+  if (isPlain === true && serialization.json !== false) {
+    return JSON.stringify(value);
+  }
+
+  const type = value?.constructor?.name ?? typeof value;
+  throw new SQLBindError(`bind parameter ${name} has a value of type ${type} that cannot be stored`);
+}
+
+
+/******************************************************************************/
+
+
+/* Given the bind metadata of a statement, the bind values for it in the order
+ * that the statement binds them (see mapBinds()) and the serialization options,
+ * return back a new array of the values converted into a form that D1 can
+ * store, raising an SQLBindError that names the parameter of any value that
+ * cannot be stored.
+ *
+ * Values bound to named parameters that appear in the parameter map of the
+ * options are converted as the map says first; the value that results, like
+ * every other value, is then converted based on its type:
+ *   - booleans are stored as 1 or 0
+ *   - Dates are stored as the dates option says; one of the built in bind
+ *     types iso, epoch or unixepoch, or a function
+ *   - BigInts are stored as numbers, if they are in the safe integer range
+ *   - typed arrays and other views are stored as blobs
+ *   - plain objects and arrays are stored as JSON, unless the json option is
+ *     false
+ *
+ * Arrays bound to IN lists are not stored as JSON, since they are expanded
+ * (see expandBinds()); instead each value in them is converted. Any option
+ * that is not given uses the value from DEFAULT_SERIALIZATION, while options
+ * of null disable serialization, returning the values as they are. */
+export function serializeBinds(metadata, orderedParams, options) {
+  if (options === null || options === undefined) {
+    return orderedParams;
+  }
+  const serialization = mergeSerialization(DEFAULT_SERIALIZATION, options);
+
+  // Named parameters are referred to by name, while others are referred to by
+  // their position.
+  const names = metadata.params !== undefined
+    ? Object.fromEntries(Object.entries(metadata.params).map(([name, index]) => [index, name]))
+    : {};
+  const lists = metadata.lists ?? [];
+
+  return orderedParams.map((value, index) => {
+    const name = names[index];
+    const label = name !== undefined ? `'${name}'` : `${index + 1}`;
+
+    // A parameter map entry applies to the value bound to the parameter, or to
+    // each value in it if it is an IN list.
+    const type = name !== undefined ? serialization.params?.[name] : undefined;
+    const serialize = (item, itemLabel) => {
+      const converted = (type !== undefined && type !== null && item !== null && item !== undefined)
+        ? serializerFor(type, `bind parameter ${itemLabel}`)(item, name)
+        : item;
+      return serializeValue(converted, itemLabel, serialization);
+    };
+
+    if (lists.includes(name) && Array.isArray(value)) {
+      return value.map((item, position) => serialize(item, `'${name}[${position}]'`));
+    }
+    return serialize(value, label);
+  });
+}
+
+
+/******************************************************************************/
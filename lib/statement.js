@@ -1,7 +1,11 @@
 /******************************************************************************/
 
 
-import { SQLSyntaxError, SQLBindError } from './errors.js';
+import { SQLSyntaxError, SQLBindError, sourceLocation } from './errors.js';
+import { parseAnnotations } from './annotations.js';
+import { checkStatementLimits, checkBindLimits } from './limits.js';
+import { serializeBinds } from './serialize.js';
+import { getQueryDefaults } from './options.js';
 
 import { parse, show } from './sqlite.js';
 
@@ -18,6 +22,31 @@ export const BIND_STYLE_NUMBERED = 'numbered';
 export const BIND_STYLE_NAMED = 'named';
 
 
+/* The modes for a labeled statement, which control what part of the result of
+ * the statement is associated with the label: all of the rows, only the first
+ * row, or only the value of the first column of the first row. */
+export const LABEL_MODES = ['all', 'one', 'value'];
+
+
+/* The ways that the result of a named query can be returned: all of the rows,
+ * only the single row that it must produce, only the first row, or nothing at
+ * all. These correspond to dbFetch(), dbFetchOne(), dbFetchFirst() and
+ * executing the query and discarding the result. */
+export const RETURN_MODES = ['many', 'one', 'first', 'none'];
+
+
+/* When minifying a statement, the whitespace and comments in its CST are
+ * replaced with this marker, which is then collapsed when the statement is
+ * rendered (see renderSQL()); this is a character that cannot otherwise appear
+ * outside of a string in a statement. */
+const TRIVIA_MARKER = '\u0001';
+
+
+/* The characters that never need whitespace next to them to separate them from
+ * the tokens around them when a statement is minified. */
+const SEPARATORS = '(),;=<>';
+
+
 /******************************************************************************/
 
 
@@ -34,7 +63,13 @@ export class SQLStatement {
    * "style" that specifies whether the binds are anonymous or named, and then
    * either a field named "params" that specifies the named bind arguments and
    * their numbered location, or a "count" field that says how many anonymous
-   * fields there are. */
+   * fields there are.
+   *
+   * Named binds that can be bound to an array of values for an IN list are in
+   * a "lists" field, with the "template" used to expand them (see
+   * expandBinds()); these fields are only present when there are such binds.
+   * Similarly, named binds that are optional have their default values in a
+   * "defaults" field. */
   bindMetadata;
 
   /* This boolean is true if the statement is one that can produce a result set
@@ -43,10 +78,31 @@ export class SQLStatement {
    * first statement that would produce a result more easily. */
   canProduceResult;
 
-  constructor(statement, bindMetadata = null, canProduceResult = false) {
+  /* This boolean is true if the statement is one that can only read from the
+   * database and never modify it; such statements are safe to execute more
+   * than once, and so are the only ones retried by default when D1 reports a
+   * transient failure. */
+  readOnly;
+
+  /* The label for this statement, if any; this is an object with the "name" of
+   * the label and the "mode" that says what part of the result is returned for
+   * it, and is used to key the results of a batch by name instead of position.
+   * This is null when the statement has no label. */
+  label;
+
+  /* The SQL of the statement as it was written, for debugging; this is only
+   * present for statements whose SQL was minified before it was prepared, and
+   * is null otherwise. */
+  source;
+
+  constructor(statement, bindMetadata = null, canProduceResult = false, readOnly = false, label = null,
+              source = null) {
     this.statement = statement;
     this.bindMetadata = bindMetadata;
     this.canProduceResult = canProduceResult;
+    this.readOnly = readOnly;
+    this.label = label;
+    this.source = source;
   }
 }
 
@@ -54,6 +110,41 @@ export class SQLStatement {
 /******************************************************************************/
 
 
+/* Labels can be placed into a list of sqlargs to label the statement that
+ * follows them; this class wraps the name and mode of such a label so that it
+ * can be distinguished from the other arguments. */
+export class SQLLabel {
+  /* The name of the label; this is the key that the result of the statement is
+   * returned under. */
+  name;
+
+  /* The mode of the label, which is one of the values in LABEL_MODES. */
+  mode;
+
+  constructor(name, mode = 'all') {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('label names must be non-empty strings');
+    }
+    if (LABEL_MODES.includes(mode) === false) {
+      throw new Error(`invalid mode '${mode}' for label '${name}'; must be one of ${LABEL_MODES.join(', ')}`);
+    }
+
+    this.name = name;
+    this.mode = mode;
+  }
+}
+
+
+/* Create and return a label to place in a list of sqlargs, which labels the
+ * statement that follows it with the given name and mode. */
+export function label(name, mode = 'all') {
+  return new SQLLabel(name, mode);
+}
+
+
+/******************************************************************************/
+
+
 /* This helper function is used by processSQLString() to recursively walk the
  * nodes in the CST produced by the SQL parser and invoke the given callback
  * function on each node that's visited.
@@ -86,6 +177,122 @@ function walkAST(node, callback) {
 }
 
 
+/* Given the CST of a statement, replace all of the whitespace and comments in
+ * it with a marker, so that rendering the statement with renderSQL() produces
+ * minified SQL; the comments are also removed from the statement. */
+function minifyAST(ast) {
+  walkAST(ast, (node) => {
+    for (const key of ['leading', 'trailing']) {
+      if (Array.isArray(node[key]) && node[key].length !== 0) {
+        node[key] = [{ type: 'space', text: TRIVIA_MARKER }];
+      }
+    }
+  });
+}
+
+
+/* Given the CST of a statement, render it back into SQL. When minify is true,
+ * the CST must have been minified by minifyAST(); the whitespace between tokens
+ * is then collapsed to a single space, or removed entirely when it is at the
+ * start or end of the statement or next to a token that does not need it.
+ *
+ * Strings and quoted identifiers are skipped over as they are, so that their
+ * content is never mistaken for the whitespace between tokens. */
+function renderSQL(ast, minify = false) {
+  const text = show(ast);
+  if (minify === false) {
+    return text;
+  }
+
+  const tokens = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\]|\u0001+/g;
+  return text.replace(tokens, (marker, offset) => {
+    if (marker[0] !== TRIVIA_MARKER) {
+      return marker;
+    }
+
+    const before = text[offset - 1];
+    const after = text[offset + marker.length];
+    const needed = before !== undefined && after !== undefined &&
+                   SEPARATORS.includes(before) === false && SEPARATORS.includes(after) === false;
+    return needed ? ' ' : '';
+  });
+}
+
+
+/* Given the argument text of a param annotation, which has the form:
+ *     "name = value"
+ *
+ * return back the name of the bind it is for and its default value. The name
+ * can have the prefix of a named bind, and the value can be a SQL string in
+ * single quotes, or any JSON value (such as a number, null, or an array for an
+ * IN list). Without a value, the default is null. */
+function paramDefault(args) {
+  const match = args.match(/^[:$@]?([A-Za-z_][\w.]*)\s*(?:=\s*(.*))?$/);
+  if (match === null) {
+    throw new SQLSyntaxError(`invalid param annotation '${`@param ${args}`.trim()}'; expected '@param name = value'`);
+  }
+
+  const [, name, text] = match;
+  if (text === undefined) {
+    return [name, null];
+  }
+
+  if (/^'(?:[^']|'')*'$/.test(text) === true) {
+    return [name, text.slice(1, -1).replace(/''/g, "'")];
+  }
+
+  try {
+    return [name, JSON.parse(text)];
+  } catch (err) {
+    throw new SQLSyntaxError(`invalid default value for bind parameter '${name}': ${text}`, { cause: err });
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a node in the CST, return back the text of the named parameter that it
+ * represents if it is a named parameter that has a dotted path, such as
+ * ":user.name", or null if it is not. The parser sees the path as accessing
+ * members of the parameter, so the node is a chain of member expressions that
+ * has the parameter at its root. */
+function parameterPath(node) {
+  if (node.type === 'parameter') {
+    return /^[:$@]/.test(node.text) ? node.text : null;
+  }
+
+  if (node.type !== 'member_expr' || node.property?.type !== 'identifier') {
+    return null;
+  }
+
+  const object = parameterPath(node.object);
+  return object === null ? null : `${object}.${node.property.name}`;
+}
+
+
+/* Given a node in the CST, return back the parameter node that is the only item
+ * in the list of values of an IN expression, such as the parameter in:
+ *     "userId IN (:userIds)"
+ *
+ * If the node is not such an expression, null is returned instead. */
+function inListParameter(node) {
+  if (node.type !== 'binary_expr' || node.right?.type !== 'paren_expr') {
+    return null;
+  }
+
+  // For NOT IN, the operator is a list of the keywords.
+  const operator = Array.isArray(node.operator) ? node.operator[node.operator.length - 1] : node.operator;
+  if (operator?.name !== 'IN') {
+    return null;
+  }
+
+  const expr = node.right.expr;
+  const items = expr?.type === 'list_expr' ? expr.items : [expr];
+  return (items.length === 1 && items[0]?.type === 'parameter') ? items[0] : null;
+}
+
+
 /******************************************************************************/
 
 
@@ -108,10 +315,40 @@ function walkAST(node, callback) {
  * The function returns an object that contains the rewritten SQL as well as
  * the bind arguments.
  *
+ * Named binds can have a dotted path, such as ":user.name", in which case the
+ * name of the bind is the whole path; when binding, the value is found by
+ * following the path through nested objects (see mapBinds()).
+ *
+ * A named bind that is only ever used as the sole value in the list of an IN
+ * expression, such as "userId IN (:userIds)", can be bound to an array; for
+ * these, the bind metadata also contains a template of the SQL that allows
+ * the bind to be expanded into one numbered bind per value without parsing
+ * the SQL again (see expandBinds()).
+ *
+ * The annotations are those from the comments that lead the statement (see
+ * parseAnnotations()); a "label" annotation provides the label for the
+ * statement, with the name of the label and an optional mode, while "param"
+ * annotations declare named binds to be optional (see paramDefault()). A "name"
+ * annotation names the query that the statement starts and a "returns"
+ * annotation says how its result is returned (see RETURN_MODES); these are
+ * used when importing SQL files, and are null when not given.
+ *
+ * When minify is true, the comments are removed from the SQL and the
+ * whitespace in it is collapsed, and the result also has the SQL as it was
+ * written in "source", for debugging.
+ *
+ * The origin is the SQL that the statement was parsed from and its name, as
+ * { sql, sourceName }; when it is given and the CST has ranges (see
+ * parseStatements()), a bind parameter whose style does not match the others
+ * raises an SQLBindError with its location.
+ *
  * The intent is that once the SQL is parsed once (by D1 eventually) it never
  * needs to be parsed again and the same prepared statement would be re-used,
  * so extra time spent is negligible in the grand scheme of things. */
-function processSingleAST(ast) {
+export function processSingleAST(ast, annotations = [], minify = false, origin = null) {
+  // The SQL as written, before anything in the CST is changed.
+  const source = minify === true ? show(ast).trim() : null;
+
   // The detected bind arguments in the statement (if any). This tracks the
   // style of the binds, as well as either the number of anonymous binds (for
   // error checking purposes) or a map that maps the named binds to their
@@ -129,17 +366,55 @@ function processSingleAST(ast) {
                             Array.isArray(ast.clauses) === true &&
                             ast.clauses.some(c => c.type === 'returning_clause'));
 
+  // Determine if this statement only reads from the database; pragmas are read
+  // only unless they are assigning a value.
+  const readOnly = ['select_stmt', 'explain_stmt', 'values_stmt'].includes(ast.type) ||
+                   (ast.type === 'pragma_stmt' && ast.pragma?.type !== 'pragma_assignment');
+
   // Set the style of arguments that we're using, doing a quick test to ensure
   // that the style matches what has been seen thus far and raising an error if
   // it does not.
-  const setStyle = (newStyle) => {
+  const setStyle = (newStyle, node) => {
     if (params.style === null) {
       params.style = newStyle;
     } else if (params.style !== newStyle) {
-      throw new SQLSyntaxError(`cannot mix bind parameter styles; expected '${params.style}' but found '${newStyle}'`);
+      const location = (origin !== null && node.range !== undefined)
+        ? sourceLocation(origin.sql, origin.sourceName, node.range[0])
+        : {};
+      throw new SQLBindError(`cannot mix bind parameter styles; expected '${params.style}' but found '${newStyle}'`,
+                             { ...location, expected: params.style });
     }
   };
 
+  // Named parameters with a dotted path are seen by the parser as accessing the
+  // members of the parameter; replace every such member access with a single
+  // parameter node with the whole path as its name.
+  walkAST(ast, (node) => {
+    if (node.type !== 'member_expr') {
+      return;
+    }
+
+    const text = parameterPath(node);
+    if (text !== null) {
+      delete node.object;
+      delete node.property;
+      node.type = 'parameter';
+      node.text = text;
+    }
+  });
+
+  // Find the parameters that are the only value in an IN list, and track every
+  // named parameter as it is seen, so that those that are only ever used in an
+  // IN list can be expanded.
+  const listNodes = new Set();
+  walkAST(ast, (node) => {
+    const param = inListParameter(node);
+    if (param !== null) {
+      listNodes.add(param);
+    }
+  });
+  const namedNodes = [];
+
   // Walk the compiled CST that we were given, looking for the various types
   // of node that indicate that this is a potential bind parameter. When found
   // the node is altered as needed to a version valid for D1, while keeping any
@@ -151,7 +426,7 @@ function processSingleAST(ast) {
       // Nodes of this type are straight anonymous bind arguments; in the case of
       // these, we just update the count of parameters and we're done.
       if (text === '?') {
-        setStyle('?');
+        setStyle('?', node);
         params.argCount++;
         return;
       }
@@ -159,7 +434,7 @@ function processSingleAST(ast) {
       // This is a numbered bind parameter; make sure it doesn't mix with other
       // styles and then update the max count seen so far.
       if (text.startsWith('?') === true && text.length > 1) {
-        setStyle('?#');
+        setStyle('?#', node);
         const bindIndex = parseInt(text.substring(1), 10);
         if (bindIndex > params.argCount) {
           params.argCount = bindIndex;
@@ -183,11 +458,12 @@ function processSingleAST(ast) {
         // Set the style, and put this parameter into the map if it's not already
         // there. The map stores as a value for the parameter the 0 based index of
         // parameter based on where it was seen.
-        setStyle(paramStyle);
+        setStyle(paramStyle, node);
         if (params.named.has(paramName) === false) {
           params.named.set(paramName, params.argCount);
           params.argCount++;
         }
+        namedNodes.push({ node, name: paramName });
 
         // Update the node text so that instead of being the type we thought it was, it
         // becomes a numbered bind argument; the bind needs to use a number one
@@ -197,6 +473,12 @@ function processSingleAST(ast) {
     }
   });
 
+  // Minify the statement before it is rendered, including into the template for
+  // any IN lists.
+  if (minify === true) {
+    minifyAST(ast);
+  }
+
   // Set up the bind metadata we want to return; note that no bind arguments
   // at all are conveyed as anonymous bind arguments, but with no arguments
   // given.
@@ -207,6 +489,13 @@ function processSingleAST(ast) {
       argCount: params.argCount,
       params: Object.fromEntries(params.named)
     };
+
+    const lists = [...params.named.keys()].filter(name =>
+      namedNodes.every(entry => entry.name !== name || listNodes.has(entry.node)));
+    if (lists.length !== 0) {
+      bindMetadata.lists = lists;
+      bindMetadata.template = bindTemplate(ast, namedNodes, minify);
+    }
   } else if (params.style === '?#') {
     bindMetadata = {
       style: BIND_STYLE_NUMBERED,
@@ -219,32 +508,103 @@ function processSingleAST(ast) {
     };
   }
 
+  // Any param annotations make the named binds they name optional, with the
+  // given default value.
+  const defaults = {};
+  for (const annotation of annotations.filter(annotation => annotation.name === 'param')) {
+    const [name, value] = paramDefault(annotation.args);
+    if (bindMetadata.style !== BIND_STYLE_NAMED || Object.hasOwn(bindMetadata.params, name) === false) {
+      throw new SQLSyntaxError(`@param annotation for unknown bind parameter '${name}'`);
+    }
+    defaults[name] = value;
+  }
+  if (Object.keys(defaults).length !== 0) {
+    bindMetadata.defaults = defaults;
+  }
+
+  // If there is a label annotation, use it to label the statement.
+  let label = null;
+  const labelAnnotation = annotations.findLast(annotation => annotation.name === 'label');
+  if (labelAnnotation !== undefined) {
+    const [name, mode = 'all', ...extra] = labelAnnotation.args.split(/\s+/);
+    if (name === '' || extra.length !== 0) {
+      const text = `@label ${labelAnnotation.args}`.trim();
+      throw new SQLSyntaxError(`invalid label annotation '${text}'; expected '@label name [mode]'`);
+    }
+    try {
+      label = { ...new SQLLabel(name, mode) };
+    } catch (err) {
+      throw new SQLSyntaxError(err.message, { cause: err });
+    }
+  }
+
+  // If there is a name annotation, it names the query that this statement
+  // starts; this must be usable as the name of an export.
+  let name = null;
+  const nameAnnotation = annotations.findLast(annotation => annotation.name === 'name');
+  if (nameAnnotation !== undefined) {
+    if (/^[A-Za-z_$][\w$]*$/.test(nameAnnotation.args) === false) {
+      const text = `@name ${nameAnnotation.args}`.trim();
+      throw new SQLSyntaxError(`invalid name annotation '${text}'; expected '@name identifier'`);
+    }
+    name = nameAnnotation.args;
+  }
+
+  let returns = null;
+  const returnsAnnotation = annotations.findLast(annotation => annotation.name === 'returns');
+  if (returnsAnnotation !== undefined) {
+    if (RETURN_MODES.includes(returnsAnnotation.args) === false) {
+      const text = `@returns ${returnsAnnotation.args}`.trim();
+      throw new SQLSyntaxError(`invalid returns annotation '${text}'; expected one of ${RETURN_MODES.join(', ')}`);
+    }
+    returns = returnsAnnotation.args;
+  }
+
   // Convert the CST back into SQL and return that and the bind metadata back.
-  const newSql = show(ast);
-  return { sql: newSql, bindMetadata, canProduceResult };
+  const newSql = renderSQL(ast, minify);
+  const result = { sql: newSql, bindMetadata, canProduceResult, readOnly, label, name, returns };
+  if (minify === true) {
+    result.source = source;
+  }
+  return result;
+}
+
+
+/* Given the CST of a statement whose named parameters have been rewritten and
+ * the list of the named parameter nodes within it, return back a template for
+ * the SQL of the statement; this has the text of the statement split apart at
+ * each of the parameters in "segments", and the name of the parameter that
+ * goes between each pair of segments in "holes". The statement is minified if
+ * minify is true, as in renderSQL(). */
+function bindTemplate(ast, namedNodes, minify = false) {
+  // Render the statement with markers in place of the parameters, so that it
+  // can be split apart at them, and then restore the parameters.
+  const texts = namedNodes.map(({ node }) => node.text);
+  namedNodes.forEach(({ node }, index) => node.text = `\u0000${index}\u0000`);
+  const parts = renderSQL(ast, minify).split(/\u0000(\d+)\u0000/);
+  namedNodes.forEach(({ node }, index) => node.text = texts[index]);
+
+  // The split leaves the index of each parameter between the segments.
+  return {
+    segments: parts.filter((part, index) => index % 2 === 0),
+    holes: parts.filter((part, index) => index % 2 === 1).map(index => namedNodes[index].name)
+  };
 }
 
 
 /******************************************************************************/
 
 
-/* Given a string that contains one or more SQL statements, process them to find
- * the bind arguments, rewriting the SQL as needed to turn named binds into
- * numbered ?# style binds.
- *
- * This is done by compiling the SQL to an CST and the modifying the tree as
- * needed.
- *
- * The return value is an object that contains the newly modified SQL as well as
- * a metadata object that describes the binds.
- *
- * if allowMultiple is false, any SQL that is provided that contains more than
- * one statement will cause an error to be raised.
+/* Given a string that contains one or more SQL statements, parse it into a CST
+ * and return back an array with one object for each of the statements, which
+ * has the CST of the statement in "ast" and the annotations from the comments
+ * that lead it in "annotations" (see parseAnnotations()).
  *
- * In the case of multiple statements being allowed, the return value of the
- * call is an array of the objects described above, one for each of the found
- * statements. */
-export function processSQLString(sql, sourceName = 'unknown_action', allowMultiple = false) {
+ * The sourceName is used to identify the SQL in syntax errors, which carry the
+ * location of the error and what the parser expected to find there. When
+ * includeRange is true, every node in the CST has the "range" of the SQL that
+ * it was parsed from, as offsets into the SQL. */
+export function parseStatements(sql, sourceName = 'unknown_action', includeRange = false) {
   let cst;
   try {
     cst = parse(sql, {
@@ -252,17 +612,73 @@ export function processSQLString(sql, sourceName = 'unknown_action', allowMultip
       includeSpaces: true,
       includeNewlines: true,
       includeComments: true,
+      includeRange,
       paramTypes: ["?", "?nr", ":name", "@name", "$name", "$nr"],
       filename: sourceName
     });
   } catch (err) {
-    throw new SQLSyntaxError('invalid SQL syntax', { cause: err });
+    // The parser only reports where the error is in the text of its message,
+    // which looks like:
+    //     Syntax Error: Unexpected "="
+    //     Was expecting to see: "(", "+", identifier, or whitespace
+    //     --> filename:3:12
+    const match = /^Syntax Error: Unexpected .*\nWas expecting to see: (.*)\n--> .*:(\d+):(\d+)\n/.exec(err?.message);
+    const location = match === null
+      ? {}
+      : { ...sourceLocation(sql, sourceName, null, Number(match[2]), Number(match[3])), expected: match[1] };
+    throw new SQLSyntaxError('invalid SQL syntax', { ...location, cause: err });
   }
 
   // Filter out any empty statements that are generated as a consequence of
   // trailing semicolons at the end of the query string.
   const validStatements = cst.statements.filter(stmt => stmt.type !== 'empty');
 
+  // The comments that lead the first statement in the SQL are attached to the
+  // program rather than to the statement, so include those when collecting
+  // its annotations.
+  return validStatements.map(ast => {
+    const isFirst = ast === cst.statements[0];
+    const leading = isFirst ? [...(cst.leading ?? []), ...(ast.leading ?? [])] : ast.leading;
+
+    return { ast, annotations: parseAnnotations(leading, isFirst) };
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* Given a string that contains one or more SQL statements, process them to find
+ * the bind arguments, rewriting the SQL as needed to turn named binds into
+ * numbered ?# style binds.
+ *
+ * This is done by compiling the SQL to an CST and the modifying the tree as
+ * needed.
+ *
+ * The return value is an object that contains the newly modified SQL as well as
+ * a metadata object that describes the binds.
+ *
+ * if allowMultiple is false, any SQL that is provided that contains more than
+ * one statement will cause an error to be raised.
+ *
+ * In the case of multiple statements being allowed, the return value of the
+ * call is an array of the objects described above, one for each of the found
+ * statements.
+ *
+ * Statements that D1 could never execute because they have too many bind
+ * parameters or are too long for the given limits (see D1_LIMITS) raise an
+ * SQLLimitError; when not given, the limits in the query defaults are used,
+ * and null disables the checks.
+ *
+ * When minify is true, comments and extra whitespace are removed from the SQL
+ * of the statements (see processSingleAST()).
+ *
+ * Errors in the SQL raise an SQLSyntaxError or SQLBindError that carries the
+ * location of the error, identifying the SQL by the source name. */
+export function processSQLString(sql, sourceName = 'unknown_action', allowMultiple = false,
+                                 limits = getQueryDefaults().limits, minify = false) {
+  const validStatements = parseStatements(sql, sourceName, true);
+
   // If we found more than one statement but we were not asked to allow that,
   // then trigger an error.
   if (allowMultiple === false && validStatements.length > 1) {
@@ -271,7 +687,10 @@ export function processSQLString(sql, sourceName = 'unknown_action', allowMultip
 
   // Using our helper, map each CST statement in order to find and rewrite any
   // named binds and get the appropriate metadata.
-  const results = validStatements.map(singleAst => processSingleAST(singleAst));
+  const results = validStatements.map(({ ast, annotations }) => processSingleAST(ast, annotations, minify, { sql, sourceName }));
+  for (const result of results) {
+    checkStatementLimits(result.sql, result.bindMetadata.argCount, limits);
+  }
 
   return allowMultiple === true ? results : results[0];
 }
@@ -280,6 +699,40 @@ export function processSQLString(sql, sourceName = 'unknown_action', allowMultip
 /******************************************************************************/
 
 
+/* Given an object of bind values and the name of a bind that has a dotted path,
+ * such as "user.name", return back the value for the bind by following the
+ * path through the nested objects in the values. If there is no value at the
+ * end of the path, undefined is returned when the bind is optional, and an
+ * error is raised otherwise. */
+function pathValue(values, name, optional) {
+  let value = values;
+  for (const key of name.split('.')) {
+    if (typeof value !== 'object' || value === null || Object.hasOwn(value, key) === false) {
+      if (optional === true) {
+        return undefined;
+      }
+      throw new SQLBindError(`no value provided for bind parameter '${name}'`);
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+
+/* Given the bind metadata for a statement, return true if the statement has
+ * named bind parameters and all of them are optional, in which case it can be
+ * bound without being given any values to use their defaults (see mapBinds()). */
+export function hasOnlyDefaultBinds(metadata) {
+  if (metadata?.style !== BIND_STYLE_NAMED || metadata.argCount === 0) {
+    return false;
+  }
+
+  const defaults = metadata.defaults ?? {};
+  return Object.keys(metadata.params).every(name => Object.hasOwn(defaults, name));
+}
+
+
 /* This function takes the bind metadata that was obtained during the initial
  * processing of a SQL statement and the values to be used for binds, and
  * converts the incoming values into an array for passing to the D1 bind
@@ -291,10 +744,16 @@ export function processSQLString(sql, sourceName = 'unknown_action', allowMultip
  * The returned value is an array that has the arguments from the input values
  * suitably placed to work with the rewritten statement.
  *
+ * The values are converted into a form that D1 can store using the given
+ * serialization options (see serializeBinds()).
+ *
  * This will raise exceptions if the number or type of bind arguments does not
- * match the statement; we error that here rather than waiting for the round
- * trip to D1 to have D1 tell us itself. */
-export function mapBinds(metadata, values) {
+ * match the statement, if a value cannot be stored, or if a string or blob
+ * value is too large for the given limits (as in processSQLString()); we error
+ * that here rather than waiting for the round trip to D1 to have D1 tell us
+ * itself. */
+export function mapBinds(metadata, values, limits = getQueryDefaults().limits,
+                         serialization = getQueryDefaults().serialization) {
   // Determine how many arguments we should have; for anonymous this is a
   // direct count, while for named arguments it's inferred from the number of
   // keys in the metadata parameter object.
@@ -327,14 +786,29 @@ export function mapBinds(metadata, values) {
 
     // Iterate over the keys in the provided values object and put them into
     // the appropriate position; throw an error if any of the bind arguments
-    // does not exist.
+    // does not exist. Keys that are the root of the path of a dotted bind hold
+    // objects, and the values of those binds are found by following the path.
+    const roots = new Set(Object.keys(paramMap).filter(name => name.includes('.'))
+                                               .map(name => name.split('.')[0]));
     for (const key in values) {
-      if (Object.hasOwn(paramMap, key) === false) {
+      if (Object.hasOwn(paramMap, key) === false && roots.has(key) === false) {
         throw new SQLBindError(`'${key}' is not a valid bind parameter for this query`);
       }
 
-      const index = paramMap[key];
-      orderedParams[index] = values[key];
+      if (Object.hasOwn(paramMap, key) === true) {
+        orderedParams[paramMap[key]] = values[key];
+      }
+    }
+
+    // Optional binds that were not given a value use their default.
+    const defaults = metadata.defaults ?? {};
+    for (const [name, index] of Object.entries(paramMap)) {
+      if (name.includes('.') === true) {
+        orderedParams[index] = pathValue(values, name, Object.hasOwn(defaults, name));
+      }
+      if (orderedParams[index] === undefined && Object.hasOwn(defaults, name) === true) {
+        orderedParams[index] = defaults[name];
+      }
     }
 
   // If the input was neither, the caller did something dumb.
@@ -351,8 +825,101 @@ export function mapBinds(metadata, values) {
     throw new SQLBindError(`incorrect number of bind parameters; expected ${paramCount}, got ${actualParamCount}`);
   }
 
+  orderedParams = serializeBinds(metadata, orderedParams, serialization);
+  checkBindLimits(orderedParams, limits);
   return orderedParams;
 }
 
 
+/******************************************************************************/
+
+
+/* The SQL that expanded statements have been rendered to, so that statements
+ * that are bound many times do not need to render the SQL again; this is keyed
+ * by the template in the bind metadata of the statement, and the values are
+ * maps whose keys are the number of values bound to each named parameter. */
+const expansionCache = new WeakMap();
+
+
+/* Given the bind metadata of a statement and the ordered bind values for it
+ * (see mapBinds()), expand any IN list binds that were given arrays into one
+ * numbered bind per value in the array. For example, binding { userIds: [1, 2] }
+ * to:
+ *     "SELECT * FROM Users WHERE userId IN (:userIds)"
+ *
+ * executes the statement:
+ *     "SELECT * FROM Users WHERE userId IN (?1, ?2)"
+ *
+ * An empty array makes the IN an expression that is always false (and thus a
+ * NOT IN that is always true) rather than invalid SQL.
+ *
+ * The return value is an object with the "sql" of the expanded statement and
+ * the "binds" for it; if there is nothing to expand, the sql is null and the
+ * binds are the values that were given. The expanded statement is checked
+ * against the given limits as in processSQLString(). */
+export function expandBinds(metadata, orderedParams, limits = getQueryDefaults().limits) {
+  const lists = metadata.lists ?? [];
+  if (lists.some(name => Array.isArray(orderedParams[metadata.params[name]])) === false) {
+    return { sql: null, binds: orderedParams };
+  }
+
+  // Renumber all of the named parameters in order, giving each as many numbered
+  // parameters as it has values.
+  const names = Object.keys(metadata.params).sort((a, b) => metadata.params[a] - metadata.params[b]);
+  const numbers = {};
+  const binds = [];
+  for (const name of names) {
+    const value = orderedParams[metadata.params[name]];
+    const values = (lists.includes(name) && Array.isArray(value)) ? value : [value];
+
+    numbers[name] = values.map((_, index) => binds.length + index + 1);
+    binds.push(...values);
+  }
+
+  // The SQL only depends on the number of values for each parameter.
+  if (expansionCache.has(metadata.template) === false) {
+    expansionCache.set(metadata.template, new Map());
+  }
+  const cache = expansionCache.get(metadata.template);
+  const key = names.map(name => numbers[name].length).join(',');
+
+  if (cache.has(key) === false) {
+    const { segments, holes } = metadata.template;
+    const text = holes.reduce((text, name, index) => {
+      const values = numbers[name].length === 0
+        ? 'SELECT NULL WHERE 0'
+        : numbers[name].map(number => `?${number}`).join(', ');
+      return `${text}${values}${segments[index + 1]}`;
+    }, segments[0]);
+
+    cache.set(key, text);
+  }
+
+  const sql = cache.get(key);
+  checkStatementLimits(sql, binds.length, limits);
+  checkBindLimits(binds, limits);
+
+  return { sql, binds };
+}
+
+
+/******************************************************************************/
+
+
+/* Given the database a statement was prepared for, the SQLStatement and the
+ * values to bind to it, return back a new SQLStatement that is bound to the
+ * values (see mapBinds()). If binding the values requires an IN list to be
+ * expanded (see expandBinds()), the expanded statement is prepared and bound
+ * instead of the original. */
+export function bindStatement(db, stmt, values, limits = getQueryDefaults().limits,
+                              serialization = getQueryDefaults().serialization) {
+  const orderedBinds = mapBinds(stmt.bindMetadata, values, limits, serialization);
+  const { sql, binds } = expandBinds(stmt.bindMetadata, orderedBinds, limits);
+
+  const d1Statement = sql === null ? stmt.statement : db.prepare(sql);
+  return new SQLStatement(d1Statement.bind(...binds), stmt.bindMetadata, stmt.canProduceResult, stmt.readOnly,
+                          stmt.label, stmt.source);
+}
+
+
 /******************************************************************************/
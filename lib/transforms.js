@@ -0,0 +1,158 @@
+/******************************************************************************/
+
+
+/* SQLite returns date and time values that it generates itself (for example
+ * via datetime() or CURRENT_TIMESTAMP) in this format, which is implicitly in
+ * UTC but which JavaScript would parse as a local time. */
+const sqliteDateTimeRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+
+/******************************************************************************/
+
+
+/* The built in column types that can be used in a column map to convert the
+ * values that D1 returns into something more useful. Null values are never
+ * converted, so that a NULL in the database is always a null in the result.
+ *
+ * D1 supports sending booleans, but stores them as integers and does not
+ * convert them back on the way out; similarly dates are stored as either text
+ * or numbers, JSON is stored as text, and so on. */
+export const COLUMN_TYPES = {
+  // Integer values where 0 is false and everything else is true.
+  boolean: value => value !== 0,
+
+  // Either an ISO-8601 date string (including the format SQLite uses) or a
+  // number of milliseconds since the epoch.
+  date: value => {
+    if (typeof value === 'string' && sqliteDateTimeRegex.test(value)) {
+      return new Date(`${value.replace(' ', 'T')}Z`);
+    }
+    return new Date(value);
+  },
+
+  // A number of seconds since the epoch, as returned by unixepoch().
+  unixepoch: value => new Date(value * 1000),
+
+  // Text that holds a JSON encoded value.
+  json: value => typeof value === 'string' ? JSON.parse(value) : value,
+
+  // An integer (or the text representation of one) that needs to be a BigInt.
+  bigint: value => BigInt(value)
+};
+
+
+/******************************************************************************/
+
+
+/* Examine the given column name and return back true if it is named as if it
+ * holds a boolean value; this is the historical convention used by the library
+ * to convert columns such as isActive into booleans. */
+const isBooleanName = column => /^is[A-Z]/.test(column);
+
+
+/******************************************************************************/
+
+
+/* The row transform options that are used by default; columns that are named
+ * like booleans are converted to booleans, and no other conversions are done. */
+export const DEFAULT_TRANSFORMS = {
+  booleanHeuristic: true,
+  columns: {}
+};
+
+
+/******************************************************************************/
+
+
+/* Given two sets of row transform options, merge them together such that the
+ * options in the override take precedence over those in the base, returning
+ * the result. The column maps of the two are merged, rather than one replacing
+ * the other.
+ *
+ * An override of null disables row transforms entirely, while an undefined
+ * override leaves the base as is. */
+export function mergeTransforms(base, override) {
+  if (override === undefined) {
+    return base;
+  }
+  if (override === null || base === null || base === undefined) {
+    return override;
+  }
+
+  return {
+    ...base,
+    ...override,
+    columns: { ...base.columns, ...override.columns }
+  };
+}
+
+
+/******************************************************************************/
+
+
+/* Given a column name and the row transform options, return back the function
+ * that should be used to convert values in that column, or null if the column
+ * should be left alone.
+ *
+ * Columns that appear in the column map always use the converter they map to,
+ * which is either the name of one of the built in column types or a function
+ * that is given the value, the column name and the row. Otherwise, columns that
+ * are named like booleans are converted as booleans, unless that is turned
+ * off. */
+function converterFor(column, transforms) {
+  const type = transforms.columns?.[column];
+
+  if (typeof type === 'function') {
+    return type;
+  }
+
+  if (type !== undefined && type !== null) {
+    const converter = COLUMN_TYPES[type];
+    if (converter === undefined) {
+      throw new Error(`unknown column type '${type}' for column '${column}'`);
+    }
+    return converter;
+  }
+
+  if (transforms.booleanHeuristic !== false && isBooleanName(column)) {
+    return COLUMN_TYPES.boolean;
+  }
+
+  return null;
+}
+
+
+/******************************************************************************/
+
+
+/* Apply the given row transform options to an array of result rows, modifying
+ * them in place and returning the array back.
+ *
+ * All rows in a D1 result set have the same columns, so the set of conversions
+ * to apply is determined only once for each result set. */
+export function transformRows(rows, transforms) {
+  if (transforms === null || transforms === undefined || rows.length === 0) {
+    return rows;
+  }
+
+  const conversions = Object.keys(rows[0])
+    .map(column => [column, converterFor(column, transforms)])
+    .filter(([, converter]) => converter !== null);
+
+  if (conversions.length === 0) {
+    return rows;
+  }
+
+  for (const row of rows) {
+    for (const [column, converter] of conversions) {
+      if (row[column] !== null) {
+        row[column] = converter(row[column], column, row);
+      }
+    }
+  }
+
+  return rows;
+}
+
+
+/******************************************************************************/
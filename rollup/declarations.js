@@ -0,0 +1,268 @@
+/******************************************************************************/
+
+
+import { BIND_STYLE_NAMED, hasOnlyDefaultBinds } from '../lib/index.js';
+
+
+/******************************************************************************/
+
+
+/* The types that every declaration file shares. The D1Database and
+ * D1PreparedStatement types are those provided by the Cloudflare Workers
+ * types, which are expected to be available globally. */
+const PREAMBLE = `// Generated from the SQL file by @odatnurd/d1-query; do not edit.
+
+type BindValue = null | string | number | boolean | bigint | Date | ArrayBuffer | ArrayBufferView | { [key: string]: unknown } | unknown[];
+type Row = Record<string, unknown>;
+type Action = string | Record<string, unknown>;
+type RunResult<R = Row> = { rows: R[], meta: Record<string, unknown> };
+
+interface SQLStatement {
+  statement: D1PreparedStatement;
+  bindMetadata: Record<string, unknown>;
+  canProduceResult: boolean;
+  readOnly: boolean;
+  source: string | null;
+}
+`;
+
+
+/* The result types of the functions that execute SQL, keyed by the function or
+ * the return mode of a named query (see RETURN_MODES). Each is a function that
+ * is given the row types of the statements that are executed (see rowTypes())
+ * and how they are executed; either a "single" statement, the same statement
+ * "repeated" for several binds, or a "batch" of different statements. */
+const RESULT_TYPES = {
+  statements: (rows, how) => how === 'single' ? 'SQLStatement' : 'SQLStatement[]',
+
+  many: (rows, how) => ({
+    single: `Promise<${rows[0].type}[]>`,
+    repeated: `Promise<${rows[0].type}[][]>`,
+    batch: `Promise<[${rows.map(row => `${row.type}[]`).join(', ')}]>`
+  })[how],
+
+  one: (rows, how) => how === 'single' ? `Promise<${rows[0].type} | null>` : `Promise<${rows[0].type}[] | null>`,
+
+  first: rows => `Promise<${(rows.find(row => row.canProduceResult) ?? rows[0]).type} | null>`,
+
+  labeled: rows => {
+    const modes = {
+      all: row => `${row.type}[]`,
+      one: row => `${row.type} | null`,
+      value: row => row.columns?.length > 0 ? `${columnType(row.columns[0])} | null` : 'unknown'
+    };
+    const keys = rows
+      .filter(row => row.label !== null && row.label !== undefined)
+      .map(row => `${row.label.name}: ${modes[row.label.mode](row)}`);
+    return keys.length === 0 ? 'Promise<{}>' : `Promise<{ ${keys.join('; ')} }>`;
+  },
+
+  none: () => 'Promise<void>',
+
+  run: (rows, how) => ({
+    single: `Promise<RunResult<${rows[0].type}>>`,
+    repeated: `Promise<RunResult<${rows[0].type}>[]>`,
+    batch: `Promise<[${rows.map(row => `RunResult<${row.type}>`).join(', ')}]>`
+  })[how]
+};
+
+
+/* The result type of each of the wrapper functions that can be generated for a
+ * SQL file that is exported as a whole. */
+const WRAPPER_RESULTS = {
+  fetch: RESULT_TYPES.many,
+  fetchOne: RESULT_TYPES.one,
+  fetchFirst: RESULT_TYPES.first,
+  fetchLabeled: RESULT_TYPES.labeled,
+  execute: RESULT_TYPES.none,
+  run: RESULT_TYPES.run
+};
+
+
+/******************************************************************************/
+
+
+/* Given the declared type of a column, return back the TypeScript type of the
+ * values that D1 returns for it, following the rules that SQLite uses to give a
+ * column its type affinity from its declared type. A column without a declared
+ * type can hold any value.
+ *
+ * Columns with NUMERIC affinity, which is any declared type that is not covered
+ * by the other rules (such as DATETIME, BOOLEAN or DECIMAL), store text that
+ * does not look like a number as it is, so their values can also be strings. */
+function affinityType(type) {
+  if (type === null) {
+    return 'unknown';
+  }
+
+  const name = type.toUpperCase();
+  if (name.includes('INT')) {
+    return 'number';
+  }
+  if (/CHAR|CLOB|TEXT/.test(name) === true) {
+    return 'string';
+  }
+  if (name.includes('BLOB')) {
+    return 'number[]';
+  }
+  if (/REAL|FLOA|DOUB/.test(name) === true) {
+    return 'number';
+  }
+  return 'number | string';
+}
+
+
+/* Given a column in the result of a statement (see SchemaCatalog), return back
+ * its TypeScript type. Numeric columns whose names look like booleans are
+ * booleans, since that is how the default row transforms return them. */
+function columnType(column) {
+  let type = affinityType(column.type);
+  if (['number', 'number | string'].includes(type) && /^is[A-Z]/.test(column.name)) {
+    type = 'boolean';
+  }
+
+  return column.nullable === true && type !== 'unknown' ? `${type} | null` : type;
+}
+
+
+/* Given the processed statements that are executed together and the schema
+ * catalog (or null if there is none), return back the type of the rows that
+ * each statement produces; each has the columns of the row as resolved by the
+ * catalog (or null if they are not known), the TypeScript "type" of the row,
+ * and the label of the statement and whether it can produce a result.
+ *
+ * Rows whose columns are not known are typed as Row. */
+function rowTypes(statements, catalog) {
+  return statements.map(info => {
+    const columns = catalog !== null && info.canProduceResult ? catalog.resultColumns(info.sql) : null;
+
+    // Columns with the same name overwrite each other in the row.
+    const fields = new Map(columns?.map(column => [column.name, column]));
+    const type = columns === null ? 'Row' : `{ ${[...fields.values()].map(column => {
+      const key = /^[A-Za-z_$][\w$]*$/.test(column.name) ? column.name : JSON.stringify(column.name);
+      return `${key}: ${columnType(column)}`;
+    }).join('; ')} }`;
+
+    return { columns, type, label: info.label, canProduceResult: info.canProduceResult };
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* Given the bind metadata of a statement that takes binds, return back the type
+ * of the bind values for it. Anonymous and numbered binds take an array with a
+ * value for each bind, while named binds take an object whose keys are the
+ * names of the binds; binds with dotted paths become nested objects, binds with
+ * defaults are optional, and binds for IN lists can also take an array. */
+function bindType(metadata) {
+  if (metadata.style !== BIND_STYLE_NAMED) {
+    return `[${Array.from({ length: metadata.argCount }, () => 'BindValue').join(', ')}]`;
+  }
+
+  // Build a tree of the keys in the bind object, where the leaves are the names
+  // of the binds whose values go there.
+  const tree = {};
+  for (const name of Object.keys(metadata.params)) {
+    const keys = name.split('.');
+    let node = tree;
+    for (const key of keys.slice(0, -1)) {
+      if (typeof node[key] !== 'object') {
+        node[key] = {};
+      }
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] ??= name;
+  }
+
+  const defaults = metadata.defaults ?? {};
+  const lists = metadata.lists ?? [];
+  const optional = node => typeof node === 'string'
+    ? Object.hasOwn(defaults, node)
+    : Object.values(node).every(optional);
+
+  const render = node => `{ ${Object.entries(node).map(([key, value]) => {
+    const type = typeof value === 'object'
+      ? render(value)
+      : (lists.includes(value) ? 'BindValue | BindValue[]' : 'BindValue');
+    return `${key}${optional(value) ? '?' : ''}: ${type}`;
+  }).join('; ')} }`;
+
+  return render(tree);
+}
+
+
+/******************************************************************************/
+
+
+/* Given the name of a function, the parameters that come before its binds, the
+ * processed statements that it executes, the types of the rows that they
+ * produce and the function that gives the type of its result (see
+ * RESULT_TYPES), return back the declaration of the function.
+ *
+ * When there is a single statement that takes binds, it can be given any
+ * number of bind values, and is repeated when given more than one; otherwise
+ * there must be one bind value for each statement that takes binds.
+ *
+ * The binds can only be left out entirely when the function returns unbound
+ * statements, or when every bind of every statement has a default. */
+function declareFunction(name, params, statements, rows, result, unbound = false) {
+  const bindable = statements.filter(info => info.bindMetadata.argCount > 0);
+  const binds = bindable.map(info => bindType(info.bindMetadata));
+  const how = statements.length === 1 ? 'single' : 'batch';
+  const none = unbound === true || bindable.every(info => hasOnlyDefaultBinds(info.bindMetadata)) ? '[] | ' : '';
+
+  if (binds.length === 0) {
+    return `declare function ${name}(${params}): ${result(rows, how)};\n`;
+  }
+
+  if (statements.length === 1) {
+    return `declare function ${name}(${params}, ...binds: ${none}[${binds[0]}]): ${result(rows, 'single')};\n` +
+           `declare function ${name}(${params}, ...binds: [${binds[0]}, ...${binds[0]}[]]): ${result(rows, 'repeated')};\n`;
+  }
+
+  return `declare function ${name}(${params}, ...binds: ${none}[${binds.join(', ')}]): ${result(rows, 'batch')};\n`;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the processed statements of a SQL file that has no named queries, the
+ * schema catalog to type their rows with (or null if there is none) and the
+ * names of the wrapper functions that the module has, return back the
+ * TypeScript declarations for the module that the file is imported as. */
+export function fileDeclarations(statements, catalog = null, wrappers = Object.keys(WRAPPER_RESULTS)) {
+  const rows = rowTypes(statements, catalog);
+  const parts = wrappers.map(wrapper =>
+    declareFunction(wrapper, 'db: D1Database, action: Action', statements, rows, WRAPPER_RESULTS[wrapper]));
+
+  return PREAMBLE + '\n' +
+    declareFunction('statements', 'db: D1Database', statements, rows, RESULT_TYPES.statements, true) +
+    parts.join('') +
+    `\nexport { ${['statements', ...wrappers].join(', ')} };\n` +
+    'export default statements;\n';
+}
+
+
+/* Given the named queries of a SQL file (as found by the plugin) and the schema
+ * catalog to type their rows with (or null if there is none), return back the
+ * TypeScript declarations for the module that the file is imported as. */
+export function queryDeclarations(queries, catalog = null) {
+  const parts = queries.map(({ name, returns, statements }, index) => {
+    const rows = rowTypes(statements, catalog);
+    return '\n' +
+      declareFunction(`query${index}`, 'db: D1Database, action: Action', statements, rows, RESULT_TYPES[returns]) +
+      `declare namespace query${index} {\n` +
+      '  ' + declareFunction('statements', 'db: D1Database', statements, rows, RESULT_TYPES.statements, true)
+        .trimEnd().replace(/^declare /gm, '').replace(/\n/g, '\n  ') + '\n' +
+      '}\n' +
+      `export { query${index} as ${name} };\n`;
+  });
+
+  return PREAMBLE + parts.join('');
+}
+
+
+/******************************************************************************/
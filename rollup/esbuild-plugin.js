@@ -0,0 +1,76 @@
+/******************************************************************************/
+
+
+import { dirname } from 'path';
+import { createSQLImporter, HELPER_MODULE_PATH } from './sql-import.js';
+
+
+/******************************************************************************/
+
+
+/* The esbuild namespace that the virtual helper module is loaded in; esbuild
+ * keeps modules that are not files in their own namespace. */
+const HELPER_NAMESPACE = 'd1-sql-helpers';
+
+/* Matches the ID of the virtual helper module (see HELPER_MODULE_ID); esbuild
+ * filters use Go regular expressions, which need the null byte escaped as a
+ * hex value. */
+const HELPER_FILTER = /^\x00d1-sql-helpers$/;
+
+
+/******************************************************************************/
+
+
+/**
+ * An esbuild plugin that allows for importing a SQL file directly in code, in
+ * the same way as the Rollup plugin does (see rollup-plugin.js); this works
+ * with the esbuild pipeline that wrangler uses, as well as with esbuild
+ * directly.
+ *
+ * The options are those of createSQLImporter(), which is shared with the
+ * Rollup plugin, so that the module that a SQL file is imported as is the same
+ * with either bundler.
+ */
+export default function d1sqlEsbuild(options = {}) {
+  const importer = createSQLImporter(options);
+
+  return {
+    name: 'd1-sql-import',
+
+    setup(build) {
+      // Each build starts with a fresh schema, in case the schema has changed.
+      build.onStart(() => {
+        importer.reset();
+      });
+
+      // The helper module is virtual, so resolve it into our own namespace,
+      // and then provide its source when it is loaded from there; it resolves
+      // its own imports relative to where the helper actually lives.
+      build.onResolve({ filter: HELPER_FILTER }, args => ({ path: args.path, namespace: HELPER_NAMESPACE }));
+      build.onLoad({ filter: /.*/, namespace: HELPER_NAMESPACE }, () => ({
+        contents: importer.helperSource(),
+        resolveDir: dirname(HELPER_MODULE_PATH),
+        loader: 'js'
+      }));
+
+      // SQL files are loaded as the module that they are imported as; files
+      // that the include and exclude options filter out are left to esbuild.
+      // The files that they include are watched along with them.
+      build.onLoad({ filter: importer.pattern, namespace: 'file' }, args => {
+        if (importer.filter(args.path) === false) {
+          return undefined;
+        }
+        const watchFiles = [];
+        return {
+          contents: importer.load(args.path, undefined, file => watchFiles.push(file)),
+          resolveDir: dirname(args.path),
+          loader: 'js',
+          watchFiles
+        };
+      });
+    }
+  };
+}
+
+
+/******************************************************************************/
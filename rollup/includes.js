@@ -0,0 +1,133 @@
+/******************************************************************************/
+
+
+import { readFileSync, existsSync } from 'fs';
+import { dirname, resolve, relative } from 'path';
+import { SQLSyntaxError, sourceLocation } from '../lib/errors.js';
+
+
+/******************************************************************************/
+
+
+/* Matches an include directive, which is a line comment on a line of its own
+ * that names the file to include, relative to the file that it is in:
+ *
+ *     -- @include ./fragments/visible_users.sql
+ *
+ * The indentation of the directive is kept. Strings, quoted identifiers and
+ * comments are also matched so that they are skipped over, since a directive
+ * inside of one of them is not an include; only a match of a directive has
+ * the indentation in it. */
+const includeRegex = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\]|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))|^([ \t]*)--[ \t]*@include(?:[ \t]+(\S+))?[ \t\r]*$|--[^\n]*/gm;
+
+
+/******************************************************************************/
+
+
+/* Given the name of a SQL file and its content, return back the SQL with every
+ * include directive in it replaced by the content of the file that it names
+ * (less any trailing whitespace), which can itself include other files. The
+ * result has:
+ *   - sql: the SQL with the includes expanded
+ *   - files: the absolute names of the files that were included, so that they
+ *     can be watched for changes
+ *   - segments: the parts of the expanded SQL, each with its "start" and "end"
+ *     offsets, the "filename" and "sql" of the file that it came from and the
+ *     "offset" into that file that it starts at (see locateError())
+ *
+ * The stack is the absolute names of the files that are including this one; a
+ * file that includes itself, directly or not, raises an SQLSyntaxError at the
+ * directive that would include it again, as does including a file that does
+ * not exist. */
+export function expandIncludes(filename, sql, stack = []) {
+  const chain = [...stack, resolve(filename)];
+  const result = { sql: '', files: [], segments: [] };
+
+  // Add the text of this file between the given offsets to the result.
+  const addText = (start, end) => {
+    if (start < end) {
+      result.segments.push({ start: result.sql.length, end: result.sql.length + end - start, filename, sql, offset: start });
+      result.sql += sql.slice(start, end);
+    }
+  };
+
+  let last = 0;
+  for (const match of sql.matchAll(includeRegex)) {
+    const [directive, indent, path] = match;
+    if (indent === undefined) {
+      continue;
+    }
+
+    const fail = message => {
+      const location = sourceLocation(sql, filename, match.index + indent.length);
+      throw new SQLSyntaxError(message, location);
+    };
+
+    if (path === undefined) {
+      fail('include directive requires the name of the file to include');
+    }
+    const target = resolve(dirname(filename), path);
+    if (chain.includes(target) === true) {
+      const cycle = [...chain, target].map(file => relative(process.cwd(), file));
+      fail(`include cycle: ${cycle.join(' -> ')}`);
+    }
+    if (existsSync(target) === false) {
+      fail(`cannot include '${path}'; file not found`);
+    }
+
+    // The included SQL replaces the directive, but not the indentation before
+    // it or the line break after it.
+    addText(last, match.index + indent.length);
+    const fragment = expandIncludes(target, readFileSync(target, 'utf8'), chain);
+    const text = fragment.sql.trimEnd();
+    for (const segment of fragment.segments.filter(segment => segment.start < text.length)) {
+      result.segments.push({
+        ...segment,
+        start: result.sql.length + segment.start,
+        end: result.sql.length + Math.min(segment.end, text.length)
+      });
+    }
+    result.sql += text;
+    result.files.push(target, ...fragment.files);
+
+    last = match.index + directive.length;
+  }
+  addText(last, sql.length);
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the result of expandIncludes() and an error raised while processing
+ * the expanded SQL, return back the error to report for it. Errors that carry
+ * a location in the expanded SQL (such as an SQLSyntaxError) are replaced by an
+ * error of the same class whose location is in the file that the SQL at that
+ * location came from; all others are returned as they are. */
+export function locateError(expanded, err) {
+  if (err?.line === null || err?.line === undefined || expanded.files.length === 0) {
+    return err;
+  }
+
+  const lines = expanded.sql.split('\n');
+  const offset = lines.slice(0, err.line - 1).reduce((total, line) => total + line.length + 1, 0) + err.column - 1;
+  const segment = expanded.segments.find(segment => offset < segment.end) ?? expanded.segments.at(-1);
+  if (segment === undefined) {
+    return err;
+  }
+
+  // Messages that start with the location of the error (such as those of an
+  // SQLSchemaError) start with the new location instead.
+  const location = sourceLocation(segment.sql, segment.filename, segment.offset + offset - segment.start);
+  const prefix = `${err.filename}:${err.line}:${err.column}: `;
+  const message = err.message.startsWith(prefix) === true
+    ? `${location.filename}:${location.line}:${location.column}: ${err.message.slice(prefix.length)}`
+    : err.message;
+
+  return new err.constructor(message, { ...location, expected: err.expected, cause: err });
+}
+
+
+/******************************************************************************/
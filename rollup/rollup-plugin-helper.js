@@ -1,7 +1,7 @@
 /******************************************************************************/
 
 
-import { SQLStatement, SQLBindError, mapBinds } from '@odatnurd/d1-query';
+import { SQLStatement, SQLBindError, bindStatement, hasOnlyDefaultBinds } from '@odatnurd/d1-query';
 
 
 /******************************************************************************/
@@ -37,7 +37,8 @@ export function prepare(db, processedSQL, bindableIndices, ...binds) {
   // now and add it to the cache.
   if (statementCache.has(processedSQL) === false) {
     const prepared = processedSQL.map(info => {
-      return new SQLStatement(db.prepare(info.sql), info.bindMetadata, info.canProduceResult);
+      return new SQLStatement(db.prepare(info.sql), info.bindMetadata, info.canProduceResult, info.readOnly, info.label,
+                              info.source ?? null);
     });
     statementCache.set(processedSQL, prepared);
   }
@@ -45,10 +46,13 @@ export function prepare(db, processedSQL, bindableIndices, ...binds) {
   // Get the prepared statements out of the cache.
   const statements = statementCache.get(processedSQL);
 
-  // When there are no binds, we can return back directly. If there is only one
-  // statement, return it directly instead of in an array.
+  // When there are no binds, we can return back directly, except that any
+  // statements whose binds are all optional are bound with no values so that
+  // their defaults are used. If there is only one statement, return it
+  // directly instead of in an array.
   if (binds.length === 0) {
-    return statements.length === 1 ? statements[0] : statements;
+    const defaulted = statements.map(stmt => hasOnlyDefaultBinds(stmt.bindMetadata) ? bindStatement(db, stmt, {}) : stmt);
+    return defaulted.length === 1 ? defaulted[0] : defaulted;
   }
 
   // If the number of binds is not the same as the number of bindable statements
@@ -57,11 +61,7 @@ export function prepare(db, processedSQL, bindableIndices, ...binds) {
   // an error due to the mismatch.
   if (binds.length !== bindableIndices.length) {
     if (statements.length === 1 && statements[0].bindMetadata.argCount > 0) {
-      const boundStmts = binds.map(bindValue => {
-        const orderedBinds = mapBinds(statements[0].bindMetadata, bindValue);
-        const newD1Stmt = statements[0].statement.bind(...orderedBinds);
-        return new SQLStatement(newD1Stmt, statements[0].bindMetadata, statements[0].canProduceResult);
-      });
+      const boundStmts = binds.map(bindValue => bindStatement(db, statements[0], bindValue));
       return boundStmts.length === 1 ? boundStmts[0] : boundStmts;
     }
 
@@ -73,10 +73,7 @@ export function prepare(db, processedSQL, bindableIndices, ...binds) {
   let bindIndex = 0;
   const boundStmts = statements.map((stmt, i) => {
     if (bindableIndices.includes(i)) {
-      const bindValue = binds[bindIndex++];
-      const orderedBinds = mapBinds(stmt.bindMetadata, bindValue);
-      const newD1Stmt = stmt.statement.bind(...orderedBinds);
-      return new SQLStatement(newD1Stmt, stmt.bindMetadata, stmt.canProduceResult);
+      return bindStatement(db, stmt, binds[bindIndex++]);
     }
     return stmt;
   });
@@ -1,23 +1,7 @@
 /******************************************************************************/
 
 
-import { readFileSync } from 'fs';
-import {
-  processSQLString,
-  SQLStatement,
-  SQLBindError,
-  mapBinds
-} from '../lib/index.js';
-
-
-/******************************************************************************/
-
-
-// Define a unique ID for the virtual module that holds the preparation code for
-// the imported SQL. Per the documentation on plugins, the convention is to lead
-// with a null byte to make sure other plugins don't try to process it.
-const HELPER_MODULE_ID = '\0d1-sql-helpers';
-const HELPER_MODULE_PATH = new URL('./rollup-plugin-helper.js', import.meta.url).pathname;
+import { createSQLImporter, HELPER_MODULE_ID } from './sql-import.js';
 
 
 /******************************************************************************/
@@ -39,13 +23,31 @@ const HELPER_MODULE_PATH = new URL('./rollup-plugin-helper.js', import.meta.url)
  * requires them (and they wil be applied in order), or exactly one bindable
  * statement and any number of binds, and you will get back as many bound
  * copies of the statement as needed.
+ *
+ * When the statements in the file are annotated with "@name", the module
+ * instead has a named export for each named query, which executes the query
+ * and returns its result as its "@returns" annotation says; the default export
+ * and the other exports are not present.
+ *
+ * Errors in the SQL fail the build with their location in the file, which is
+ * reported through the error API of Rollup. The files that a SQL file includes
+ * are watched, so that it is rebuilt when they change.
+ *
+ * The options are those of createSQLImporter(), which does the work of turning
+ * the SQL into a module and which is shared with the plugins for the other
+ * bundlers, so that they all produce the same module.
  */
-export default function d1sql() {
-  const sqlRegex = /\.sql$/;
+export default function d1sql(options = {}) {
+  const importer = createSQLImporter(options);
 
   return {
     name: 'd1-sql-import',
 
+    // Each build starts with a fresh schema, in case the schema has changed.
+    buildStart() {
+      importer.reset();
+    },
+
     // Hook into the module resolver to see if someone is trying to resolve our
     // particular module or not. Using our virtual ID, we signal the module name
     // back if it's our module, so that we get invoked to load it.
@@ -62,65 +64,35 @@ export default function d1sql() {
       // Produce the source code for our virtual module, if someone tries to
       // load it.
       if (id === HELPER_MODULE_ID) {
-        return readFileSync(HELPER_MODULE_PATH, 'utf-8');
+        return importer.helperSource();
       }
 
       // Skip non-SQL files
-      if (sqlRegex.test(id) === false) {
+      if (importer.filter(id) === false) {
         return null;
       }
 
-      // Read the entire file content as a single string, then process it into
-      // as many statements as the file content happens to contain. This gets
-      // us an array of objects that contain the modified SQL and the metadata
-      // on their binds (if any).
-      const sqlContent = readFileSync(id, 'utf8');
-      const statements = processSQLString(sqlContent, id, true);
-
-      // Determine which of the statements in the processed statement array take
-      // bind arguments.
-      const bindableIndices = statements
-        .map((info, index) => info.bindMetadata.argCount > 0 ? index : -1)
-        .filter(index => index !== -1);
-
-      // Generate module output for the file; this uses the helper module to
-      // do the heavy lifting.
-      return {
-        code: `
-import { prepare } from '${HELPER_MODULE_ID}';
-import { dbFetch, dbFetchOne, dbFetchFirst } from '@odatnurd/d1-query';
-
-const sqlInfo = ${JSON.stringify(statements)};
-const bindables = ${JSON.stringify(bindableIndices)};
-
-export function statements(db, ...binds) {
-  return prepare(db, sqlInfo, bindables, ...binds);
-}
-
-export async function fetch(db, action, ...binds) {
-  const prepared = statements(db, ...binds);
-  return dbFetch(db, action, ...(Array.isArray(prepared) ? prepared : [prepared]));
-}
-
-export async function fetchOne(db, action, ...binds) {
-  const prepared = statements(db, ...binds);
-  return dbFetchOne(db, action, ...(Array.isArray(prepared) ? prepared : [prepared]));
-}
-
-export async function fetchFirst(db, action, ...binds) {
-    const prepared = statements(db, ...binds);
-    return dbFetchFirst(db, action, ...(Array.isArray(prepared) ? prepared : [prepared]));
-}
-
-export async function execute(db, action, ...binds) {
-  const prepared = statements(db, ...binds);
-  await dbFetch(db, action, ...(Array.isArray(prepared) ? prepared : [prepared]));
-}
-
-export default statements;
-`,
-        map: null
-      };
+      // Errors that know where in the SQL they are, such as syntax errors, are
+      // reported along with their location, so that it can be pointed at; the
+      // location is left out of the message, since Rollup adds it.
+      try {
+        return {
+          code: importer.load(id, undefined, file => this.addWatchFile(file)),
+          map: null
+        };
+      } catch (err) {
+        if (err.line === null || err.line === undefined) {
+          throw err;
+        }
+
+        const prefix = `${err.filename}:${err.line}:${err.column}: `;
+        this.error({
+          message: err.message.startsWith(prefix) ? err.message.slice(prefix.length) : err.message,
+          loc: { file: err.filename, line: err.line, column: err.column - 1 },
+          frame: err.frame,
+          cause: err
+        });
+      }
     }
   };
 }
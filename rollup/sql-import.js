@@ -0,0 +1,427 @@
+/******************************************************************************/
+
+
+import { readFileSync, writeFileSync, existsSync, readdirSync, statSync } from 'fs';
+import { join, resolve, isAbsolute, sep } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  processSQLString,
+  D1_LIMITS,
+  createSchemaCatalog,
+  SQLSyntaxError
+} from '../lib/index.js';
+import { fileDeclarations, queryDeclarations } from './declarations.js';
+import { expandIncludes, locateError } from './includes.js';
+
+
+/******************************************************************************/
+
+
+// Define a unique ID for the virtual module that holds the preparation code for
+// the imported SQL. Per the documentation on plugins, the convention is to lead
+// with a null byte to make sure other plugins don't try to process it.
+export const HELPER_MODULE_ID = '\0d1-sql-helpers';
+export const HELPER_MODULE_PATH = fileURLToPath(new URL('./rollup-plugin-helper.js', import.meta.url));
+
+
+/* The extensions of the files that are imported as SQL by default. */
+export const DEFAULT_EXTENSIONS = ['.sql'];
+
+
+/* The specifier that generated modules import the library by default. */
+export const DEFAULT_LIBRARY = '@odatnurd/d1-query';
+
+
+/* The wrapper functions that can be generated for a SQL file that is exported
+ * as a whole, and the query function that each executes the file with; all of
+ * them are generated by default. The execute() wrapper discards the result. */
+export const SQL_WRAPPERS = {
+  fetch: 'dbFetch',
+  fetchOne: 'dbFetchOne',
+  fetchFirst: 'dbFetchFirst',
+  fetchLabeled: 'dbFetchLabeled',
+  execute: 'dbFetch',
+  run: 'dbRun'
+};
+
+
+/* The query functions that are used to return the result of a named query, for
+ * each of the ways that it can be returned (see RETURN_MODES). */
+const RETURN_FUNCTIONS = {
+  many: 'dbFetch',
+  one: 'dbFetchOne',
+  first: 'dbFetchFirst',
+  none: 'dbFetch'
+};
+
+
+/******************************************************************************/
+
+
+/* Given the array of processed statements from a SQL file, return back the
+ * indices of the statements that take bind arguments. */
+function bindableIndices(statements) {
+  return statements
+    .map((info, index) => info.bindMetadata.argCount > 0 ? index : -1)
+    .filter(index => index !== -1);
+}
+
+
+/* Given the schema option of the plugin, which is a path or an array of them,
+ * return back the paths of the SQL files that make up the schema, in order. A
+ * path that is a directory (such as a directory of migrations) stands for all
+ * of the SQL files in it, sorted by name. */
+export function schemaFiles(schema) {
+  return [schema].flat().flatMap(path => statSync(path).isDirectory()
+    ? readdirSync(path).filter(name => name.endsWith('.sql')).sort().map(name => join(path, name))
+    : [path]);
+}
+
+
+/* Given the schema option of the plugin, return back a schema catalog built
+ * from the SQL files that make up the schema (see schemaFiles()). */
+function loadSchema(schema) {
+  const catalog = createSchemaCatalog();
+  schemaFiles(schema).forEach(file => catalog.apply(readFileSync(file, 'utf8'), file));
+  return catalog;
+}
+
+
+/* Given the array of processed statements from a SQL file and the name of the
+ * file (for errors), return back the named queries in the file, or null if none
+ * of the statements are named.
+ *
+ * A named query is made up of the statement with the name annotation and any
+ * statements without one that follow it, which are executed together as a
+ * batch. Each query is an object with the "name" of the query, the "returns"
+ * mode from the annotation on the named statement, and the "statements" of the
+ * query. */
+function namedQueries(statements, id) {
+  if (statements.every(info => info.name === null)) {
+    if (statements.some(info => info.returns !== null)) {
+      throw new SQLSyntaxError(`${id}: @returns annotation requires a @name annotation`);
+    }
+    return null;
+  }
+
+  const queries = [];
+  for (const info of statements) {
+    if (info.name !== null) {
+      if (queries.some(query => query.name === info.name)) {
+        throw new SQLSyntaxError(`${id}: duplicate query name '${info.name}'`);
+      }
+      queries.push({ name: info.name, returns: info.returns, statements: [] });
+    } else if (queries.length === 0) {
+      throw new SQLSyntaxError(`${id}: statements in a file with named queries must follow a @name annotation`);
+    } else if (info.returns !== null) {
+      throw new SQLSyntaxError(`${id}: @returns annotation requires a @name annotation`);
+    }
+
+    queries[queries.length - 1].statements.push(info);
+  }
+
+  // Queries that do not say how to return their result return all of the rows
+  // if they can produce any, and nothing otherwise.
+  for (const query of queries) {
+    query.returns ??= query.statements.some(info => info.canProduceResult) ? 'many' : 'none';
+  }
+
+  return queries;
+}
+
+
+/******************************************************************************/
+
+
+/* Given the array of processed statements from a SQL file that has no named
+ * queries, the specifiers that the helper module and the library are imported
+ * by, and the names of the wrappers to generate (see SQL_WRAPPERS), return back
+ * the code for the module that the file is imported as; this exports the file
+ * as a whole, with a function for each way of executing it. */
+function fileModule(statements, helper, library, wrappers) {
+  const functions = [...new Set(wrappers.map(wrapper => SQL_WRAPPERS[wrapper]))];
+  const parts = wrappers.map(wrapper => `
+export async function ${wrapper}(db, action, ...binds) {
+  const prepared = statements(db, ...binds);
+  ${wrapper === 'execute' ? 'await' : 'return'} ${SQL_WRAPPERS[wrapper]}(db, action, ...(Array.isArray(prepared) ? prepared : [prepared]));
+}
+`);
+
+  return `
+import { prepare } from ${JSON.stringify(helper)};
+${functions.length !== 0 ? `import { ${functions.join(', ')} } from ${JSON.stringify(library)};\n` : ''}
+const sqlInfo = ${JSON.stringify(statements)};
+const bindables = ${JSON.stringify(bindableIndices(statements))};
+
+export function statements(db, ...binds) {
+  return prepare(db, sqlInfo, bindables, ...binds);
+}
+${parts.join('')}
+export default statements;
+`;
+}
+
+
+/* Given the named queries in a SQL file (see namedQueries()) and the specifiers
+ * that the helper module and the library are imported by, return back the code
+ * for the module that the file is imported as; this has an export for each
+ * query, which is a function that executes the query and returns its result as
+ * the query says. The statements of each query are available via the
+ * "statements" property of the function, for use in larger batches. */
+function queryModule(queries, helper, library) {
+  const parts = queries.map(({ name, returns, statements }, index) => `
+const sqlInfo${index} = ${JSON.stringify(statements)};
+const bindables${index} = ${JSON.stringify(bindableIndices(statements))};
+
+async function query${index}(db, action, ...binds) {
+  const prepared = query${index}.statements(db, ...binds);
+  ${returns === 'none' ? 'await' : 'return'} ${RETURN_FUNCTIONS[returns]}(db, action, ...(Array.isArray(prepared) ? prepared : [prepared]));
+}
+query${index}.statements = (db, ...binds) => prepare(db, sqlInfo${index}, bindables${index}, ...binds);
+export { query${index} as ${name} };
+`);
+
+  return `
+import { prepare } from ${JSON.stringify(helper)};
+import { dbFetch, dbFetchOne, dbFetchFirst } from ${JSON.stringify(library)};
+${parts.join('')}`;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a string, return back a copy with the characters that are special in a
+ * regular expression escaped. */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+
+/* Given a glob pattern, return back a regular expression that matches the paths
+ * that it matches; "*" matches within a single directory, "**" matches across
+ * directories, "?" matches a single character, and "{a,b}" matches either of
+ * its alternatives. Patterns that are not absolute are relative to the current
+ * directory, unless they start with "**" and so can match anywhere. */
+function globRegex(pattern) {
+  if (isAbsolute(pattern) === false && pattern.startsWith('**') === false) {
+    pattern = join(process.cwd(), pattern);
+  }
+  pattern = pattern.split(sep).join('/');
+
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (pattern.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      braces++;
+    } else if (char === '}' && braces > 0) {
+      source += ')';
+      braces--;
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+
+/* Given the include or exclude option of the importer, which is a glob pattern,
+ * a regular expression or an array of them, return back a function that is
+ * given the path of a file and returns true if any of them match it; null
+ * matches nothing. */
+function pathMatcher(patterns) {
+  const matchers = [patterns ?? []].flat().map(pattern => {
+    if (pattern instanceof RegExp) {
+      return path => pattern.test(path);
+    }
+    if (typeof pattern === 'string') {
+      const regex = globRegex(pattern);
+      return path => regex.test(path);
+    }
+    throw new Error(`invalid path filter '${pattern}'; expected a glob pattern or regular expression`);
+  });
+
+  return path => matchers.some(matcher => matcher(path));
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return the importer that the bundler plugins share, which turns
+ * SQL files into the code of the modules that they are imported as. All of the
+ * bundlers produce the same module for the same SQL file.
+ *
+ * The SQL is processed using the same logic as the main library (except
+ * allowing for multiple statements), and the rewritten SQL and its bind
+ * metadata are embedded into the generated module, which uses the helper
+ * module (rollup-plugin-helper.js) to prepare and bind the statements. The
+ * helper is imported by the given specifier; by default this is the ID of a
+ * virtual module whose source is the helper, which the plugin provides.
+ *
+ * Before the SQL is processed, the files that it includes with "@include"
+ * directives are expanded into it (see expandIncludes()), so that the binds in
+ * them are those of the statements that include them; errors in included SQL
+ * are reported at their location in the file that they are in.
+ *
+ * Statements that can never be executed because they exceed the D1 limits
+ * (see D1_LIMITS) raise an error; the limits to check can be given in the
+ * "limits" option, where null disables the checks.
+ *
+ * The SQL that is embedded is minified unless the "minify" option is false, so
+ * that comments and formatting in the SQL files are not shipped in the bundle
+ * or sent to D1. The SQL as it was written is also embedded for debugging
+ * (see SQLStatement), unless the "keepSource" option is false; by default it
+ * is only left out of production builds.
+ *
+ * When the "declarations" option is true, TypeScript declarations for the
+ * module are written next to each SQL file, named as TypeScript expects with
+ * its allowArbitraryExtensions option; for example, the declarations for
+ * "users.sql" are written to "users.d.sql.ts". When the "schema" option gives
+ * the schema files of the database (see loadSchema()), the rows of the results
+ * in the declarations are typed from the schema.
+ *
+ * When there is a schema, every imported SQL file is also validated against it
+ * (see SchemaCatalog.validate()), so that a statement that refers to a table,
+ * column or index that does not exist fails the build with its location
+ * rather than failing when it is executed; the "validate" option can be false
+ * to only use the schema for the declarations.
+ *
+ * Only files whose names end in one of the "extensions" (by default ".sql")
+ * are imported as SQL. The "include" and "exclude" options narrow this down to
+ * the files whose absolute paths match them, where each is a glob pattern, a
+ * regular expression or an array of them; when "include" is given, only the
+ * files that it matches are imported, and the files that "exclude" matches are
+ * never imported.
+ *
+ * The "wrappers" option names which of the wrapper functions in SQL_WRAPPERS
+ * the module for a SQL file has, by default all of them; the statements()
+ * function and the default export are always present. Files that have named
+ * queries are not affected. The library is imported by the generated modules
+ * (and the helper) by the "importSpecifier" option, for when it is not
+ * installed under its own name. */
+export function createSQLImporter({ limits = D1_LIMITS, declarations = false, schema = null, validate = true,
+                                    minify = true, keepSource = process.env.NODE_ENV !== 'production',
+                                    helper = HELPER_MODULE_ID, extensions = DEFAULT_EXTENSIONS,
+                                    include = null, exclude = null, wrappers = Object.keys(SQL_WRAPPERS),
+                                    importSpecifier = DEFAULT_LIBRARY } = {}) {
+  for (const wrapper of wrappers) {
+    if (Object.hasOwn(SQL_WRAPPERS, wrapper) === false) {
+      throw new Error(`unknown wrapper '${wrapper}'; must be one of ${Object.keys(SQL_WRAPPERS).join(', ')}`);
+    }
+  }
+
+  const isIncluded = include !== null ? pathMatcher(include) : () => true;
+  const isExcluded = pathMatcher(exclude);
+
+  // Matches the names of the files that can be imported, for bundlers that
+  // filter files before asking about them.
+  const pattern = new RegExp(`(?:${extensions.map(escapeRegex).join('|')})$`);
+
+  // The schema catalog, which is loaded the first time that it is needed in
+  // each build.
+  let catalog = null;
+
+  // Return back the code of the module for the SQL file with the given ID,
+  // given its SQL with the includes expanded.
+  function generate(id, sqlContent) {
+    // Process the content into as many statements as it happens to contain.
+    // This gets us an array of objects that contain the modified SQL and the
+    // metadata on their binds (if any).
+    const statements = processSQLString(sqlContent, id, true, limits, minify);
+    if (keepSource === false) {
+      statements.forEach(info => delete info.source);
+    }
+
+    // Files whose statements are annotated with names export each named
+    // query on its own; all others export the file as a whole.
+    const queries = namedQueries(statements, id);
+
+    // The schema is loaded the first time that a file needs it, and catches
+    // references to things that are not in it.
+    if (schema !== null) {
+      catalog ??= loadSchema(schema);
+      if (validate === true) {
+        catalog.validate(sqlContent, id);
+      }
+    }
+
+    // Write out the declarations for the module if asked; this only happens
+    // when they change, so that tools watching the files are not triggered.
+    if (declarations === true) {
+      const declarationFile = id.replace(/\.([^./\\]+)$/, '.d.$1.ts');
+      const content = queries === null
+        ? fileDeclarations(statements, catalog, wrappers)
+        : queryDeclarations(queries, catalog);
+      if (existsSync(declarationFile) === false || readFileSync(declarationFile, 'utf8') !== content) {
+        writeFileSync(declarationFile, content);
+      }
+    }
+
+    return queries === null
+      ? fileModule(statements, helper, importSpecifier, wrappers)
+      : queryModule(queries, helper, importSpecifier);
+  }
+
+  return {
+    // Start a new build, discarding the schema in case it has changed.
+    reset() {
+      catalog = null;
+    },
+
+    pattern,
+
+    // Return back true if the file with the given ID is imported as SQL;
+    // virtual modules never are.
+    filter(id) {
+      if (id.startsWith('\0') === true || pattern.test(id) === false) {
+        return false;
+      }
+
+      const path = resolve(id).split(sep).join('/');
+      return isIncluded(path) === true && isExcluded(path) === false;
+    },
+
+    // Return back the source of the helper module, which imports the library
+    // by the same specifier as the generated modules do.
+    helperSource() {
+      const source = readFileSync(HELPER_MODULE_PATH, 'utf-8');
+      return importSpecifier === DEFAULT_LIBRARY
+        ? source
+        : source.replace(`from '${DEFAULT_LIBRARY}'`, `from ${JSON.stringify(importSpecifier)}`);
+    },
+
+    // Return back the code of the module that the SQL file with the given ID
+    // is imported as; the SQL is read from the file unless it is given. The
+    // watch function is called with the name of each file that the SQL
+    // includes, so that the bundler can rebuild the module when they change.
+    load(id, sqlContent = readFileSync(id, 'utf8'), watchFile = () => {}) {
+      const expanded = expandIncludes(id, sqlContent);
+      new Set(expanded.files).forEach(file => watchFile(file));
+
+      try {
+        return generate(id, expanded.sql);
+      } catch (err) {
+        throw locateError(expanded, err);
+      }
+    }
+  };
+}
+
+
+/******************************************************************************/
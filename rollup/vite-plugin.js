@@ -0,0 +1,26 @@
+/******************************************************************************/
+
+
+import d1sql from './rollup-plugin.js';
+
+
+/******************************************************************************/
+
+
+/**
+ * A Vite plugin that allows for importing a SQL file directly in code, in the
+ * same way as the Rollup plugin does (see rollup-plugin.js).
+ *
+ * Vite plugins are a superset of Rollup plugins, so this is the Rollup plugin,
+ * set to run before the core Vite plugins so that nothing else tries to handle
+ * the SQL files. The options are those of createSQLImporter().
+ */
+export default function d1sqlVite(options = {}) {
+  return {
+    ...d1sql(options),
+    enforce: 'pre'
+  };
+}
+
+
+/******************************************************************************/
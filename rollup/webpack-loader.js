@@ -0,0 +1,93 @@
+/******************************************************************************/
+
+
+import { statSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+import { createSQLImporter, schemaFiles, HELPER_MODULE_PATH, DEFAULT_LIBRARY } from './sql-import.js';
+
+
+/******************************************************************************/
+
+
+/* The importers that are used by the loader, keyed by the options of the rule
+ * that uses the loader (an object, or the query string that they were given
+ * in), so that the schema (if any) is only loaded once for each rule. Each is
+ * stored with the modification times of the schema files that it was loaded
+ * from (see schemaStamp()). */
+const importers = new Map();
+
+
+/* Given the schema option of the loader, return back a string that changes
+ * whenever the files of the schema do, so that the schema is loaded again. */
+function schemaStamp(schema) {
+  if (schema === undefined || schema === null) {
+    return null;
+  }
+  return schemaFiles(schema).map(file => `${file}:${statSync(file).mtimeMs}`).join('\n');
+}
+
+
+/* Given the options of the loader, return back the request that the generated
+ * modules import the helper module by. When the library is imported by a
+ * specifier of its own, the helper is passed through this loader so that it
+ * imports the library in the same way. */
+function helperRequest(options) {
+  if ((options.importSpecifier ?? DEFAULT_LIBRARY) === DEFAULT_LIBRARY) {
+    return HELPER_MODULE_PATH;
+  }
+
+  const query = JSON.stringify({ importSpecifier: options.importSpecifier });
+  return `!!${fileURLToPath(import.meta.url)}?${query}!${HELPER_MODULE_PATH}`;
+}
+
+
+/******************************************************************************/
+
+
+/**
+ * A webpack loader that allows for importing a SQL file directly in code, in
+ * the same way as the Rollup plugin does (see rollup-plugin.js). To use it,
+ * add a rule for SQL files that uses the loader:
+ *
+ *     { test: /\.sql$/, use: '@odatnurd/d1-query/webpack' }
+ *
+ * The options of the rule are those of createSQLImporter(), which is shared
+ * with the Rollup plugin; the files that the loader applies to are chosen by
+ * the rule, so the include, exclude and extensions options are not used. Since
+ * webpack has no virtual modules, the generated module imports the helper
+ * module from the file that it lives in; otherwise the module is the same as
+ * with any other bundler.
+ */
+export default function d1sqlLoader(source) {
+  const options = this.getOptions();
+  if (importers.has(this.query) === false) {
+    const importer = createSQLImporter({ ...options, helper: helperRequest(options) });
+    importers.set(this.query, { importer, stamp: null });
+  }
+
+  // Loaders cannot tell when a build starts, so the schema is loaded again when
+  // its files change instead; they are dependencies of every SQL module, so
+  // that changing them rebuilds the modules while watching.
+  const entry = importers.get(this.query);
+  const stamp = schemaStamp(options.schema);
+  if (stamp !== entry.stamp) {
+    entry.importer.reset();
+    entry.stamp = stamp;
+  }
+  if (stamp !== null) {
+    schemaFiles(options.schema).forEach(file => this.addDependency(resolve(file)));
+  }
+
+  // The helper only passes through the loader when it needs to import the
+  // library by a different specifier.
+  const importer = entry.importer;
+  if (this.resourcePath === HELPER_MODULE_PATH) {
+    return importer.helperSource();
+  }
+  return importer.load(this.resourcePath, source, file => this.addDependency(file));
+}
+
+
+/******************************************************************************/
@@ -24,6 +24,16 @@ export const config = {
     "test/raw_query.test.js",
     "test/fetch.test.js",
     "test/rollup.test.js",
+    "test/bundlers.test.js",
+    "test/logger.test.js",
+    "test/transforms.test.js",
+    "test/client.test.js",
+    "test/retry.test.js",
+    "test/errors.test.js",
+    "test/ledger.test.js",
+    "test/paginate.test.js",
+    "test/serialize.test.js",
+    "test/schema.test.js",
   ],
   hooks: {
     setup: async (ctx) => {
@@ -0,0 +1,300 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { resolve, join } from 'path';
+import { tmpdir } from 'os';
+import { pathToFileURL } from 'url';
+import { build } from 'esbuild';
+import webpack from 'webpack';
+
+import d1sql from '../rollup/rollup-plugin.js';
+import d1sqlVite from '../rollup/vite-plugin.js';
+import d1sqlEsbuild from '../rollup/esbuild-plugin.js';
+import d1sqlLoader from '../rollup/webpack-loader.js';
+import { HELPER_MODULE_ID, HELPER_MODULE_PATH } from '../rollup/sql-import.js';
+
+
+/******************************************************************************/
+
+
+/* The SQL files that are imported by each bundler in the tests; one that is
+ * exported as a whole and one that has named queries. */
+const sqlFiles = [
+  'test/rollup/sql/single_bindable.sql',
+  'test/rollup/sql/named_queries.sql'
+];
+
+
+/* Set up the given esbuild plugin the way that esbuild would, and return back
+ * the callbacks that it registers, so that they can be invoked as esbuild
+ * would invoke them. */
+function esbuildHooks(plugin) {
+  const hooks = { start: [], resolve: [], load: [] };
+  plugin.setup({
+    onStart: callback => hooks.start.push(callback),
+    onResolve: (options, callback) => hooks.resolve.push({ ...options, callback }),
+    onLoad: (options, callback) => hooks.load.push({ ...options, callback })
+  });
+
+  return hooks;
+}
+
+
+/* Given the hooks of an esbuild plugin, a path and its namespace, invoke the
+ * first load hook that applies to it, returning its result, or null if no hook
+ * applies. */
+function esbuildLoad(hooks, path, namespace = 'file') {
+  const hook = hooks.load.find(hook => hook.namespace === namespace && hook.filter.test(path));
+  return hook?.callback({ path, namespace }) ?? null;
+}
+
+
+/* Compile the given webpack configuration, returning the stats of the build;
+ * this rejects only if webpack itself fails, not if the build has errors. */
+function webpackCompile(config) {
+  return new Promise((resolve, reject) => {
+    const compiler = webpack(config);
+    compiler.run((err, stats) => compiler.close(() => err ? reject(err) : resolve(stats)));
+  });
+}
+
+
+/* Invoke the webpack loader on the SQL file at the given path, the way that
+ * webpack would, returning the result; the files that the loader says the
+ * result depends on are added to the dependencies array, if given. */
+function webpackLoad(path, options = {}, dependencies = []) {
+  const context = {
+    resourcePath: path,
+    query: options,
+    getOptions: () => options,
+    addDependency: file => dependencies.push(file)
+  };
+
+  return d1sqlLoader.call(context, readFileSync(path, 'utf8'));
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Bundler Plugins`({
+  /* This set of tests verifies that every bundler imports a SQL file as the
+   * same module, since they all share the same importer. */
+  "Same Module": async ({ runScope: ctx }) => {
+    const vite = d1sqlVite();
+    const hooks = esbuildHooks(d1sqlEsbuild());
+
+    for (const file of sqlFiles) {
+      const code = d1sql().load(file).code;
+
+      $check`Vite module: ${file}`
+        .value(vite.load(file).code)
+        .eq($, code);
+
+      $check`esbuild module: ${file}`
+        .value(esbuildLoad(hooks, file))
+        .eq($.contents, code)
+        .eq($.loader, 'js')
+        .eq($.resolveDir, 'test/rollup/sql');
+
+      // Webpack has no virtual modules, so it imports the helper by its path.
+      $check`webpack module: ${file}`
+        .value(webpackLoad(file))
+        .eq($, code.replace(JSON.stringify(HELPER_MODULE_ID), JSON.stringify(HELPER_MODULE_PATH)));
+    }
+
+    $check`Options are passed through`
+      .call(() => webpackLoad('test/rollup/sql/two_bindable.sql', { limits: { maxParams: 1 } }))
+      .throws($, 'statement has 2 bind parameters, which exceeds the maximum of 1');
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that the plugins provide the virtual helper
+   * module, and leave everything else alone. */
+  "Helper Module": async ({ runScope: ctx }) => {
+    const helper = readFileSync(HELPER_MODULE_PATH, 'utf8');
+
+    const vite = d1sqlVite();
+    $check`Vite plugin runs first`
+      .value(vite)
+      .eq($.name, 'd1-sql-import')
+      .eq($.enforce, 'pre');
+
+    $check`Vite helper module`
+      .value([vite.resolveId(HELPER_MODULE_ID), vite.load(HELPER_MODULE_ID), vite.load('src/main.js')])
+      .eq($[0], HELPER_MODULE_ID)
+      .eq($[1], helper)
+      .eq($[2], null);
+
+    const hooks = esbuildHooks(d1sqlEsbuild());
+    const resolved = hooks.resolve.find(hook => hook.filter.test(HELPER_MODULE_ID)).callback({ path: HELPER_MODULE_ID });
+    $check`esbuild helper module resolution`
+      .value(resolved)
+      .eq($.path, HELPER_MODULE_ID)
+      .neq($.namespace, 'file');
+
+    $check`esbuild helper module`
+      .value(esbuildLoad(hooks, resolved.path, resolved.namespace))
+      .eq($.contents, helper);
+
+    $check`esbuild leaves other files alone`
+      .value([hooks.resolve.some(hook => hook.filter.test('./main.js')), esbuildLoad(hooks, 'src/main.js')])
+      .eq($[0], false)
+      .eq($[1], null);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that the options which control the files that
+   * are imported and the code that is generated apply to every bundler. */
+  "Options": async ({ runScope: ctx }) => {
+    const options = { extensions: ['.query'], exclude: '**/fetchFirst/**' };
+    const vite = d1sqlVite(options);
+    const hooks = esbuildHooks(d1sqlEsbuild(options));
+
+    $check`Vite file filters`
+      .value(['test/rollup/sql/role_name.query', 'test/rollup/sql/single.sql'].map(file => vite.load(file) !== null))
+      .eq($[0], true)
+      .eq($[1], false);
+
+    $check`esbuild file filters`
+      .value([
+        esbuildLoad(hooks, 'test/rollup/sql/role_name.query') !== null,
+        esbuildLoad(hooks, 'test/rollup/sql/single.sql') !== null,
+        esbuildLoad(hooks, 'test/rollup/sql/fetchFirst/other.query') !== null
+      ])
+      .eq($[0], true)
+      .eq($[1], false)
+      .eq($[2], false);
+
+    // Webpack passes the helper through the loader when the library has its
+    // own import specifier, so that the helper imports it the same way.
+    const code = webpackLoad('test/rollup/sql/single.sql', { importSpecifier: 'd1-query', wrappers: ['run'] });
+    $check`webpack module with options`
+      .value([
+        code.includes('import { dbRun } from "d1-query";'),
+        code.includes(`webpack-loader.js?{\\"importSpecifier\\":\\"d1-query\\"}!${HELPER_MODULE_PATH}";`),
+        code.includes('export async function fetch(')
+      ])
+      .eq($[0], true)
+      .eq($[1], true)
+      .eq($[2], false);
+
+    $check`webpack helper module`
+      .value(webpackLoad(HELPER_MODULE_PATH, { importSpecifier: 'd1-query' }))
+      .eq($, readFileSync(HELPER_MODULE_PATH, 'utf8').replace("from '@odatnurd/d1-query'", 'from "d1-query"'));
+
+    $check`webpack helper module by default`
+      .value(webpackLoad('test/rollup/sql/single.sql').includes(`from ${JSON.stringify(HELPER_MODULE_PATH)};`))
+      .eq($, true);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that every bundler watches the files that a SQL
+   * file includes. */
+  "Includes": async ({ runScope: ctx }) => {
+    const included = [
+      resolve('test/rollup/sql/fragments/roles_from.sql'),
+      resolve('test/rollup/sql/fragments/role_columns.sql')
+    ];
+
+    $check`esbuild watches included files`
+      .value(esbuildLoad(esbuildHooks(d1sqlEsbuild()), 'test/rollup/sql/included.sql').watchFiles)
+      .eq($.length, 2)
+      .eq($[0], included[0])
+      .eq($[1], included[1]);
+
+    const dependencies = [];
+    webpackLoad('test/rollup/sql/included.sql', {}, dependencies);
+    $check`webpack depends on included files`
+      .value(dependencies)
+      .eq($.length, 2)
+      .eq($[0], included[0])
+      .eq($[1], included[1]);
+
+    // The files of the schema are also dependencies, so that the schema is
+    // loaded again when they change.
+    const schemaDependencies = [];
+    webpackLoad('test/rollup/sql/events.sql', { schema: 'test/rollup/sql/create_events.sql' }, schemaDependencies);
+    $check`webpack depends on schema files`
+      .value(schemaDependencies)
+      .includes($, resolve('test/rollup/sql/create_events.sql'));
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that a real esbuild build can bundle code that
+   * imports a SQL file, and that the bundled module queries the database. The
+   * package itself is bundled from the source in this repository. */
+  "esbuild Build": async ({ runScope: ctx }) => {
+    const result = await build({
+      stdin: { contents: "export { fetchOne } from './test/rollup/sql/user.sql';", resolveDir: process.cwd() },
+      bundle: true,
+      write: false,
+      format: 'esm',
+      platform: 'node',
+      logLevel: 'silent',
+      alias: { '@odatnurd/d1-query': resolve('lib/index.js') },
+      plugins: [d1sqlEsbuild()]
+    });
+
+    $check`esbuild bundles a SQL import`
+      .value(result)
+      .eq($.errors.length, 0)
+      .eq($.outputFiles.length, 1);
+
+    const bundled = await import(`data:text/javascript;base64,${Buffer.from(result.outputFiles[0].text).toString('base64')}`);
+    await $check`Query from the bundled SQL module`
+      .value(bundled.fetchOne(ctx.env.DB, 'esbuild_fetch_one', { userId: 1 }))
+      .eq($.userId, 1)
+      .eq($.username, 'bob');
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that a SQL file can be bundled by webpack with
+   * the loader, and that the queries in the result run. */
+  "webpack Build": async ({ runScope: ctx }) => {
+    const outDir = mkdtempSync(join(tmpdir(), 'd1-query-webpack-'));
+    try {
+      const entry = join(outDir, 'entry.js');
+      writeFileSync(entry, `export { fetchOne } from ${JSON.stringify(resolve('test/rollup/sql/user.sql'))};`);
+
+      const stats = await webpackCompile({
+        mode: 'none',
+        target: 'node',
+        entry,
+        experiments: { outputModule: true },
+        output: { path: outDir, filename: 'bundle.mjs', module: true, library: { type: 'module' } },
+        resolve: { alias: { '@odatnurd/d1-query': resolve('lib/index.js') } },
+        module: { rules: [{ test: /\.sql$/, use: resolve('rollup/webpack-loader.js') }] }
+      });
+
+      $check`webpack bundles a SQL import`
+        .value(stats.toJson({ all: false, errors: true }))
+        .eq($.errors.length, 0);
+
+      const bundled = await import(pathToFileURL(join(outDir, 'bundle.mjs')).href);
+      await $check`Query from the bundled SQL module`
+        .value(bundled.fetchOne(ctx.env.DB, 'webpack_fetch_one', { userId: 1 }))
+        .eq($.userId, 1)
+        .eq($.username, 'bob');
+    } finally {
+      rmSync(outDir, { recursive: true, force: true });
+    }
+  },
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,197 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { createClient, QueryClient } from "../lib/client.js";
+import { SQLLimitError, UniqueConstraintError } from "../lib/errors.js";
+
+
+/******************************************************************************/
+
+
+/* Create and return a logger that captures the records given to it into the
+ * records array, so that the actions that were logged can be tested. */
+function captureLogger() {
+  const records = [];
+  return {
+    records,
+    info: record => records.push(record)
+  };
+}
+
+
+/* Create and return a logger that captures the records of every level given to
+ * it into the records array. */
+function captureAllLogger() {
+  const records = [];
+  const capture = level => record => records.push({ level, ...record });
+  return {
+    records,
+    info: capture('info'),
+    warn: capture('warn'),
+    error: capture('error')
+  };
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Query Client`({
+  /* This set of tests verifies that a query client exposes the same operations
+   * as the free query functions, executing them against its database. */
+  "Client Queries": async ({ runScope: ctx }) => {
+    const client = createClient(ctx.env.DB, { logger: captureLogger() });
+
+    $check`Client creation`
+      .value(client)
+      .instanceof($, QueryClient);
+
+    $check`Client statement preparation`
+      .value(client.prepare('client_test_one', 'SELECT * FROM Users WHERE userId = ?;', [1], [69]))
+      .isArray()
+      .eq($.length, 2);
+
+    await $check`Client raw query`
+      .value(client.rawQuery(client.prepare('client_test_two', 'SELECT * FROM Users WHERE userId = 1;'),
+        'client_test_two'))
+      .isArray()
+      .eq($[0].username, 'bob');
+
+    await $check`Client fetch`
+      .value(client.fetch('client_test_three', 'SELECT * FROM Users WHERE userId = ?;', [69]))
+      .isArray()
+      .eq($.length, 1)
+      .eq($[0].username, 'jim');
+
+    await $check`Client fetchOne`
+      .value(client.fetchOne('client_test_four', 'SELECT * FROM Users WHERE userId IN (1, 69) ORDER BY userId;'))
+      .isNotArray()
+      .eq($.userId, 1);
+
+    await $check`Client fetchFirst`
+      .value(client.fetchFirst('client_test_five',
+        'UPDATE Users SET username = "bob" WHERE userId = 1;',
+        'SELECT * FROM Users WHERE userId = 69;'))
+      .isNotArray()
+      .eq($.userId, 69);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that the options of the client apply to all of
+   * its queries, and can be overridden per query or per derived client. */
+  "Client Options": async ({ runScope: ctx }) => {
+    const logger = captureLogger();
+    const client = createClient(ctx.env.DB, {
+      logger,
+      actionPrefix: 'req1:',
+      transforms: { booleanHeuristic: false }
+    });
+
+    // The client transforms apply to its queries.
+    await $check`Client transforms`
+      .value(client.fetchOne('client_opt_one', 'SELECT 1 AS isCool;'))
+      .eq($.isCool, 1);
+
+    // Options for a query are layered over the client options.
+    await $check`Query transforms override client transforms`
+      .value(client.fetchOne({ action: 'client_opt_two', transforms: { columns: { isCool: 'boolean' } } },
+        'SELECT 1 AS isCool;'))
+      .eq($.isCool, true);
+
+    // A derived client has the options of its parent along with its own.
+    await client.withOptions({ actionPrefix: 'req2:' }).fetch('client_opt_three', 'SELECT 1;');
+
+    $check`Action prefixes`
+      .value(logger.records.map(record => record.action))
+      .eq($.length, 3)
+      .eq($[0], 'req1:client_opt_one')
+      .eq($[1], 'req1:client_opt_two')
+      .eq($[2], 'req2:client_opt_three');
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that batches that are larger than the maximum
+   * batch size are split into chunks, or refused when they must be atomic. */
+  "Batch Splitting": async ({ runScope: ctx }) => {
+    const logger = captureAllLogger();
+    const client = createClient(ctx.env.DB, { logger, maxBatchSize: 2 });
+
+    // The results of the chunks are stitched back together in order.
+    await $check`Split batch results`
+      .value(client.fetch('client_split_one', 'SELECT ? AS value;', [1], [2], [3], [4], [5]))
+      .isArray()
+      .eq($.length, 5)
+      .eq($[0][0].value, 1)
+      .eq($[2][0].value, 3)
+      .eq($[4][0].value, 5);
+
+    $check`Split batch warning`
+      .value(logger.records.filter(record => record.level === 'warn'))
+      .eq($.length, 1)
+      .eq($[0].event, 'batch_split')
+      .eq($[0].batchSize, 5)
+      .eq($[0].chunks, 3)
+      .eq($[0].message, 'batch of 5 statements split into 3 chunks; atomicity only holds within each chunk');
+
+    // Every statement is logged with its position in the whole batch.
+    $check`Split batch logs`
+      .value(logger.records.filter(record => record.level === 'info'))
+      .eq($.length, 5)
+      .eq($[3].batchIndex, 3)
+      .eq($[3].batchSize, 5);
+
+    // Batches that fit are not split.
+    await client.fetch('client_split_two', 'SELECT 1;', 'SELECT 2;');
+    $check`Unsplit batch`
+      .value(logger.records.filter(record => record.level === 'warn'))
+      .eq($.length, 1);
+
+    // An atomic query cannot be split.
+    await $check`Atomic batch`
+      .value(client.fetch({ action: 'client_split_three', atomic: true }, 'SELECT ? AS value;', [1], [2], [3])
+        .catch(err => err))
+      .instanceof($, SQLLimitError)
+      .eq($.message, 'batch of 3 statements exceeds the maximum batch size of 2 and cannot be split because the query is atomic')
+      .eq($.limit, 'batch_size')
+      .eq($.maximum, 2)
+      .eq($.value, 3);
+
+    // When a chunk fails, the chunks before it have already been committed.
+    await $check`Failure in a split batch`
+      .value(client.fetch('client_split_four', 'INSERT INTO Users VALUES(?1, ?2, ?3);',
+        [400, 'splitone', false], [401, 'splittwo', false], [1, 'bob', false]).catch(err => err))
+      .instanceof($, UniqueConstraintError)
+      .eq($.completed, 2)
+      .eq($.batchIndex, 2)
+      .eq($.batchSize, 1)
+      .eq($.binds[0], 1);
+
+    // The failed statement is at its position in the whole batch, even when
+    // there are chunks after it.
+    await $check`Failure in the second chunk of a split batch`
+      .value(client.withOptions({ maxBatchSize: 1 }).fetch('client_split_four',
+        'INSERT INTO Users VALUES(?1, ?2, ?3);',
+        [402, 'splitthree', false], [1, 'bob', false], [403, 'splitfour', false]).catch(err => err))
+      .instanceof($, UniqueConstraintError)
+      .eq($.completed, 1)
+      .eq($.batchIndex, 1)
+      .eq($.batchSize, 1)
+      .eq($.binds[1], 'bob');
+
+    await $check`Committed chunks`
+      .value(client.fetch('client_split_five', 'SELECT * FROM Users WHERE userId IN (400, 401);'))
+      .eq($.length, 2);
+
+    await $check`Invalid batch size`
+      .value(client.withOptions({ maxBatchSize: 0 }).fetch('client_split_six', 'SELECT 1;', 'SELECT 2;'))
+      .throws($, 'maxBatchSize must be a positive integer');
+  },
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,112 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { dbFetch } from "../lib/query.js";
+import {
+  SQLExecutionError,
+  SQLConstraintError,
+  UniqueConstraintError,
+  ForeignKeyConstraintError,
+  NotNullConstraintError,
+  CheckConstraintError
+} from "../lib/errors.js";
+
+
+/******************************************************************************/
+
+
+/* Execute the given sqlargs via dbFetch() with the given action, returning the
+ * error that is raised, or null if there is no error. */
+async function fetchError(ctx, action, ...sqlargs) {
+  try {
+    await dbFetch(ctx.env.DB, { action, logger: null }, ...sqlargs);
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Execution Errors`({
+  /* This set of tests verifies that errors raised by D1 while executing a query
+   * are wrapped with the context of the query that failed. */
+  "Execution Error Context": async ({ runScope: ctx }) => {
+    await $check`Error in a single statement`
+      .value(fetchError(ctx, 'error_test_one', 'SELECT * FROM NotRealUsers WHERE userId = ?;', [1]))
+      .instanceof($, SQLExecutionError)
+      .eq($.message, 'D1_ERROR: no such table: NotRealUsers: SQLITE_ERROR')
+      .eq($.action, 'error_test_one')
+      .eq($.sql, 'SELECT * FROM NotRealUsers WHERE userId = ?')
+      .eq($.binds[0], 1)
+      .eq($.code, 'SQLITE_ERROR')
+      .eq($.batchIndex, null)
+      .eq($.batchSize, null);
+
+    // D1 does not report which statement in a batch failed, so the error has
+    // all of the statements but no specific one.
+    await $check`Error in a batch`
+      .value(fetchError(ctx, 'error_test_two',
+        'INSERT INTO Users VALUES(?1, ?2, ?3);',
+          [300, 'neverseeme', true],
+          [1, 'bob', false]))
+      .instanceof($, UniqueConstraintError)
+      .eq($.action, 'error_test_two')
+      .eq($.sql, null)
+      .eq($.batchIndex, null)
+      .eq($.batchSize, 2)
+      .eq($.statements.length, 2)
+      .eq($.statements[1].binds[0], 1);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that constraint failures are raised as the
+   * appropriate error class, with the table and columns involved. */
+  "Constraint Errors": async ({ runScope: ctx }) => {
+    await dbFetch(ctx.env.DB, 'error_setup',
+      `CREATE TABLE ErrorChecks (
+         a INTEGER CHECK (a > 0),
+         b INTEGER CONSTRAINT positive_b CHECK (b > 0),
+         userId INTEGER REFERENCES Users(userId)
+       );`);
+
+    await $check`UNIQUE constraint`
+      .value(fetchError(ctx, 'error_test_three', 'INSERT INTO Users VALUES(1, "bob", false);'))
+      .instanceof($, SQLConstraintError)
+      .instanceof($, UniqueConstraintError)
+      .eq($.table, 'Users')
+      .eq($.column, 'userId')
+      .eq($.code, 'SQLITE_CONSTRAINT_PRIMARYKEY');
+
+    await $check`NOT NULL constraint`
+      .value(fetchError(ctx, 'error_test_four', 'INSERT INTO Users (userId) VALUES(301);'))
+      .instanceof($, NotNullConstraintError)
+      .eq($.table, 'Users')
+      .eq($.column, 'username');
+
+    await $check`CHECK constraint with an expression`
+      .value(fetchError(ctx, 'error_test_five', 'INSERT INTO ErrorChecks (a) VALUES(-1);'))
+      .instanceof($, CheckConstraintError)
+      .eq($.constraint, 'a > 0')
+      .eq($.table, null);
+
+    await $check`CHECK constraint with a name`
+      .value(fetchError(ctx, 'error_test_six', 'INSERT INTO ErrorChecks (b) VALUES(-1);'))
+      .instanceof($, CheckConstraintError)
+      .eq($.constraint, 'positive_b');
+
+    await $check`FOREIGN KEY constraint`
+      .value(fetchError(ctx, 'error_test_seven',
+        'PRAGMA foreign_keys = ON;',
+        'INSERT INTO ErrorChecks (userId) VALUES(12345);'))
+      .instanceof($, ForeignKeyConstraintError)
+      .eq($.code, 'SQLITE_CONSTRAINT_FOREIGNKEY');
+  },
+});
+
+
+/******************************************************************************/
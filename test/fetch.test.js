@@ -1,6 +1,7 @@
 import { Collection, $check, $ } from "@axel669/aegis";
 
-import { dbFetch, dbFetchOne, dbFetchFirst } from "../lib/query.js";
+import { dbFetch, dbFetchOne, dbFetchFirst, dbFetchLabeled, dbRun } from "../lib/query.js";
+import { label } from "../lib/statement.js";
 
 
 /******************************************************************************/
@@ -267,8 +268,165 @@ export default Collection`Simple Fetch Queries`({
                'SELECT * FROM Users WHERE userId = 1004;',
                'SELECT * FROM Users WHERE userId = 1;'))
       .eq($, null);
+  },
+
+  /****************************************************************************/
+
+  /* This set of queries exercises the dbFetchLabeled() API, which returns the
+   * results of labeled statements keyed by their label. */
+  "Fetch Labeled Queries": async ({ runScope: ctx}) => {
+    // Labels in the input label the statement that follows them, and control
+    // what part of the result is returned.
+    await $check`Fetch labeled with label arguments`
+      .value(dbFetchLabeled(ctx.env.DB, 'fetchLabeled_test_one',
+               'INSERT INTO Users VALUES(204, "labeled", 0);',
+               label('user', 'one'), 'SELECT * FROM Users WHERE userId = ?;', [204],
+               label('users'), 'SELECT * FROM Users WHERE userId IN (1, 69) ORDER BY userId;',
+               label('count', 'value'), 'SELECT COUNT(*) FROM Users WHERE userId = 204;',
+               label('missing', 'one'), 'SELECT * FROM Users WHERE userId = 1005;'))
+      .isNotArray()
+      .eq($.user.username, 'labeled')
+      .eq($.users.length, 2)
+      .eq($.users[1].userId, 69)
+      .eq($.count, 1)
+      .eq($.missing, null);
+
+    // Labels can also come from annotations in the SQL, and work for a single
+    // statement.
+    await $check`Fetch labeled with annotations`
+      .value(dbFetchLabeled(ctx.env.DB, 'fetchLabeled_test_two',
+               '-- @label name value\nSELECT username FROM Users WHERE userId = 1;'))
+      .eq($.name, 'bob');
+
+    // A label argument replaces a label from an annotation.
+    await $check`Fetch labeled with a replaced label`
+      .value(dbFetchLabeled(ctx.env.DB, 'fetchLabeled_test_three',
+               label('other', 'value'), '-- @label name value\nSELECT username FROM Users WHERE userId = 1;'))
+      .eq($.other, 'bob')
+      .eq($.name, undefined);
+
+    // Statements with the same label cannot be executed together.
+    await $check`Fetch labeled with duplicate labels`
+      .value(dbFetchLabeled(ctx.env.DB, 'fetchLabeled_test_four',
+               label('user', 'one'), 'SELECT * FROM Users WHERE userId = ?;', [1], [69]))
+      .throws($, "duplicate label 'user' in statements");
+
+    // A label must be followed by a statement.
+    await $check`Fetch labeled with a trailing label`
+      .value(dbFetchLabeled(ctx.env.DB, 'fetchLabeled_test_five',
+               'SELECT * FROM Users;', label('users')))
+      .throws($, "label 'users' is not followed by a statement");
+
+    $check`Label with an invalid mode`
+      .call(() => label('users', 'many'))
+      .throws($, "invalid mode 'many' for label 'users'; must be one of all, one, value");
+  },
+
+  /****************************************************************************/
+
+  /* This set of queries exercises the dbRun() API, which returns the result
+   * rows of the query along with the metadata for it. */
+  "Run Queries": async ({ runScope: ctx}) => {
+    // A single statement returns the rows and the metadata.
+    await $check`Run a single statement`
+      .value(dbRun(ctx.env.DB, 'run_test_one',
+               'INSERT INTO Users VALUES(?, "runner", 0);', [210]))
+      .isNotArray()
+      .isArray($.rows)
+      .eq($.rows.length, 0)
+      .eq($.meta.changes, 1)
+      .eq($.meta.last_row_id, 210)
+      .eq($.meta.changed_db, true);
+
+    // A batch returns one result for each statement.
+    await $check`Run a batch`
+      .value(dbRun(ctx.env.DB, 'run_test_two',
+               'UPDATE Users SET username = "runner2" WHERE userId = 210;',
+               'SELECT * FROM Users WHERE userId = 210;'))
+      .isArray()
+      .eq($.length, 2)
+      .eq($[0].meta.changes, 1)
+      .eq($[1].rows[0].username, 'runner2')
+      .eq($[1].meta.changed_db, false);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of queries verifies that arrays bound to IN lists select the rows
+   * that match any of the values. */
+  "IN List Queries": async ({ runScope: ctx}) => {
+    const sql = 'SELECT * FROM Users WHERE userId IN (:ids) AND userId < :max ORDER BY userId;';
+
+    await $check`Fetch with an IN list`
+      .value(dbFetch(ctx.env.DB, 'in_list_test_one', sql, { ids: [1, 69, 9999], max: 1000 }))
+      .isArray()
+      .eq($.length, 2)
+      .eq($[0].userId, 1)
+      .eq($[1].userId, 69);
+
+    await $check`Fetch with an empty IN list`
+      .value(dbFetch(ctx.env.DB, 'in_list_test_two', sql, { ids: [], max: 1000 }))
+      .isArray()
+      .eq($.length, 0);
+
+    await $check`Fetch with an empty NOT IN list`
+      .value(dbFetch(ctx.env.DB, 'in_list_test_three',
+                     'SELECT * FROM Users WHERE userId NOT IN (:ids) AND userId IN (1, 69);', { ids: [] }))
+      .isArray()
+      .eq($.length, 2);
+
+    // A statement can be bound to lists of different lengths in one batch.
+    await $check`Fetch with several IN lists`
+      .value(dbFetch(ctx.env.DB, 'in_list_test_four', sql,
+                     { ids: [69], max: 1000 },
+                     { ids: [1, 69], max: 1000 },
+                     { ids: 1, max: 1000 }))
+      .isArray()
+      .eq($.length, 3)
+      .eq($[0].length, 1)
+      .eq($[1].length, 2)
+      .eq($[2][0].userId, 1);
+
+    // IN lists can also be found via a dotted path.
+    await $check`Fetch with a dotted IN list`
+      .value(dbFetch(ctx.env.DB, 'in_list_test_five',
+                     'SELECT * FROM Users WHERE userId IN (:filter.ids) AND username = :filter.name;',
+                     { filter: { ids: [1, 69], name: 'jim' } }))
+      .isArray()
+      .eq($.length, 1)
+      .eq($[0].userId, 69);
+  },
+
+
+  /* This set of queries verifies that optional binds use their defaults,
+   * including when the statement is not given any bind values at all. */
+  "Default Bind Queries": async ({ runScope: ctx}) => {
+    const sql = '-- @param max = 2\nSELECT * FROM Users WHERE userId IN (1, 69) ORDER BY userId LIMIT :max;';
+
+    await $check`Fetch with no binds uses the defaults`
+      .value(dbFetch(ctx.env.DB, 'default_test_one', sql))
+      .isArray()
+      .eq($.length, 2);
+
+    await $check`Fetch with empty binds uses the defaults`
+      .value(dbFetch(ctx.env.DB, 'default_test_two', sql, {}))
+      .isArray()
+      .eq($.length, 2);
+
+    await $check`Fetch with binds overrides the defaults`
+      .value(dbFetch(ctx.env.DB, 'default_test_three', sql, { max: 1 }))
+      .isArray()
+      .eq($.length, 1);
+
+    // Statements with a required bind still need to be given it.
+    await $check`Fetch with no binds for a required bind`
+      .value(dbFetch(ctx.env.DB, 'default_test_four',
+                     '-- @param max = 2\nSELECT * FROM Users WHERE userId = :id LIMIT :max;').catch(err => err))
+      .instanceof($, Error);
   }
 });
 
 
-/******************************************************************************/
+/******************************************************************************/
\ No newline at end of file
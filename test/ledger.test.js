@@ -0,0 +1,119 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { dbFetch } from "../lib/query.js";
+import { createClient } from "../lib/client.js";
+import { createLedger, QueryLedger } from "../lib/ledger.js";
+import { QueryBudgetExceededError } from "../lib/errors.js";
+
+
+/******************************************************************************/
+
+
+/* Create and return a logger that captures the records given to it into the
+ * records array, so that the warnings that were logged can be tested. */
+function captureLogger() {
+  const records = [];
+  return {
+    records,
+    warn: record => records.push(record)
+  };
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Query Ledger`({
+  /* This set of tests verifies that a ledger accumulates the statistics of the
+   * queries made with it, both in total and by action. */
+  "Ledger Totals": async ({ runScope: ctx }) => {
+    const ledger = createLedger();
+    const client = createClient(ctx.env.DB, { ledger, logger: null });
+
+    $check`Ledger creation`
+      .value(ledger)
+      .instanceof($, QueryLedger)
+      .eq($.totals.queries, 0);
+
+    await client.fetch('ledger_test_one', 'SELECT * FROM Users WHERE userId IN (1, 69);');
+    await client.fetch('ledger_test_one', 'SELECT * FROM Users WHERE userId = 1;');
+    await client.fetch('ledger_test_two', 'SELECT 1;', 'SELECT 2;');
+
+    // Every statement in a batch is counted as a query.
+    $check`Ledger totals`
+      .value(ledger.summary())
+      .eq($.queries, 4)
+      .eq($.actions.ledger_test_one.queries, 2)
+      .eq($.actions.ledger_test_two.queries, 2)
+      .eq($.actions.ledger_test_two.rows_written, 0);
+
+    // The totals are the sum of the breakdown by action.
+    $check`Ledger rows read`
+      .value(ledger.byAction.ledger_test_one.rows_read + ledger.byAction.ledger_test_two.rows_read)
+      .neq($, 0)
+      .eq($, ledger.totals.rows_read);
+
+    // Resetting the ledger discards everything.
+    ledger.reset();
+    $check`Ledger reset`
+      .value(ledger.summary())
+      .eq($.queries, 0)
+      .eq($.rows_read, 0);
+
+    $check`Ledger reset actions`
+      .value(Object.keys(ledger.byAction))
+      .eq($.length, 0);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that budgets on a ledger are enforced, either by
+   * warning or by raising an error. */
+  "Ledger Budgets": async ({ runScope: ctx }) => {
+    $check`Unknown budget`
+      .call(() => createLedger({ budgets: { rows_scanned: 10 } }))
+      .throws($, "unknown ledger budget 'rows_scanned'");
+
+    $check`Invalid exceeded action`
+      .call(() => createLedger({ onExceeded: 'explode' }))
+      .throws($, "invalid onExceeded value 'explode'; must be 'warn' or 'throw'");
+
+    // Exceeding a budget raises an error by default.
+    const ledger = createLedger({ budgets: { queries: 1 } });
+    await dbFetch(ctx.env.DB, { action: 'ledger_test_three', ledger, logger: null }, 'SELECT 1;');
+
+    await $check`Budget exceeded error`
+      .value(dbFetch(ctx.env.DB, { action: 'ledger_test_four', ledger, logger: null }, 'SELECT 1;')
+        .catch(err => err))
+      .instanceof($, QueryBudgetExceededError)
+      .eq($.message, 'query budget exceeded: queries is 2, budget is 1')
+      .eq($.action, 'ledger_test_four')
+      .eq($.budget, 'queries')
+      .eq($.limit, 1)
+      .eq($.value, 2);
+
+    // Exceeding a budget can also log a warning, which happens only once.
+    const logger = captureLogger();
+    const warnLedger = createLedger({ budgets: { queries: 1 }, onExceeded: 'warn' });
+    const client = createClient(ctx.env.DB, { ledger: warnLedger, logger });
+
+    await client.fetch('ledger_test_five', 'SELECT 1;');
+    await client.fetch('ledger_test_six', 'SELECT 1;');
+    await $check`Budget exceeded warning`
+      .value(client.fetch('ledger_test_seven', 'SELECT 1;'))
+      .eq($.length, 1);
+
+    $check`Budget warning records`
+      .value(logger.records)
+      .eq($.length, 1)
+      .eq($[0].event, 'budget_exceeded')
+      .eq($[0].action, 'ledger_test_six')
+      .eq($[0].budget, 'queries')
+      .eq($[0].value, 2);
+  },
+});
+
+
+/******************************************************************************/
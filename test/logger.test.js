@@ -0,0 +1,150 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { createLogger, formatLogRecord, silentLogger } from "../lib/logger.js";
+import { dbFetch } from "../lib/query.js";
+
+
+/******************************************************************************/
+
+
+/* Create and return an object that can be used as the sink for a logger; every
+ * line that is emitted is captured into the lines array along with the name of
+ * the console method that was used to emit it. */
+function captureSink() {
+  const lines = [];
+  const capture = method => (text) => lines.push({ method, text });
+
+  return {
+    lines,
+    debug: capture('debug'),
+    log: capture('log'),
+    warn: capture('warn'),
+    error: capture('error')
+  };
+}
+
+
+/* Create and return a logger that captures the records given to it into the
+ * records array without formatting them, so that their content can be tested
+ * directly. */
+function captureLogger() {
+  const records = [];
+  const capture = level => (record) => records.push({ level, ...record });
+
+  return {
+    records,
+    debug: capture('debug'),
+    info: capture('info'),
+    warn: capture('warn'),
+    error: capture('error')
+  };
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Query Logging`({
+  /* This set of tests verifies that the loggers that the library can create
+   * format and filter their records as expected. */
+  "Logger Creation": ({ runScope: ctx }) => {
+    const record = {
+      event: 'query', action: 'log_test', success: true, duration: 3,
+      rows_read: 2, rows_written: 0, last_row_id: 69, changes: 0,
+      resultSize: 2, batchIndex: null, batchSize: null
+    };
+
+    // A query record formats to the same line the library has always logged.
+    $check`Text format of a single query`
+      .value(formatLogRecord(record))
+      .eq($, '[3ms]  log_test :  OK  : last_row_id=69, reads=2, writes=0, resultSize=2');
+
+    // Queries that are part of a batch are offset from others.
+    $check`Text format of a batch query`
+      .value(formatLogRecord({ ...record, batchIndex: 0, batchSize: 2, resultSize: null }))
+      .eq($, '[3ms]   => log_test :  OK  : last_row_id=69, reads=2, writes=0, resultSize=null');
+
+    // JSON loggers emit a single line of JSON that includes the level.
+    const jsonSink = captureSink();
+    createLogger({ format: 'json', sink: jsonSink }).info(record);
+    $check`JSON format`
+      .value(JSON.parse(jsonSink.lines[0].text))
+      .eq($.level, 'info')
+      .eq($.action, 'log_test')
+      .eq($.rows_read, 2)
+      .eq($.batchIndex, null);
+
+    // Records below the configured level are dropped, and those at or above
+    // it are emitted to the console method for their level.
+    const levelSink = captureSink();
+    const warnLogger = createLogger({ level: 'warn', sink: levelSink });
+    warnLogger.debug(record);
+    warnLogger.info(record);
+    warnLogger.warn(record);
+    warnLogger.error(record);
+    $check`Level filtering`
+      .value(levelSink.lines)
+      .eq($.length, 2)
+      .eq($[0].method, 'warn')
+      .eq($[1].method, 'error');
+
+    // Invalid levels and formats are rejected.
+    $check`Invalid log level`
+      .call(() => createLogger({ level: 'loud' }))
+      .throws($, "invalid log level 'loud'; expected one of debug, info, warn, error, silent");
+
+    $check`Invalid log format`
+      .call(() => createLogger({ format: 'xml' }))
+      .throws($, "invalid log format 'xml'; expected 'text' or 'json'");
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that the query functions send their logs to the
+   * logger given in the query options. */
+  "Query Logging": async ({ runScope: ctx }) => {
+    // A single query produces a single record with no batch information.
+    const single = captureLogger();
+    await dbFetch(ctx.env.DB, { action: 'log_single', logger: single },
+      'SELECT * FROM Users WHERE userId = 1;');
+    $check`Single query record`
+      .value(single.records)
+      .eq($.length, 1)
+      .eq($[0].level, 'info')
+      .eq($[0].event, 'query')
+      .eq($[0].action, 'log_single')
+      .eq($[0].resultSize, 1)
+      .eq($[0].batchIndex, null);
+
+    // A batch produces one record per statement, each with its position.
+    const batch = captureLogger();
+    await dbFetch(ctx.env.DB, { action: 'log_batch', logger: batch },
+      'SELECT * FROM Users WHERE userId = 1;',
+      'SELECT * FROM Users WHERE userId = 69;');
+    $check`Batch query records`
+      .value(batch.records)
+      .eq($.length, 2)
+      .eq($[0].batchIndex, 0)
+      .eq($[1].batchIndex, 1)
+      .eq($[1].batchSize, 2);
+
+    // The silent logger, and a null logger, both suppress logging but still
+    // return the results of the query.
+    await $check`Silent logger`
+      .value(dbFetch(ctx.env.DB, { action: 'log_silent', logger: silentLogger },
+        'SELECT * FROM Users WHERE userId = 1;'))
+      .isArray()
+      .eq($[0].userId, 1);
+
+    await $check`Null logger`
+      .value(dbFetch(ctx.env.DB, { action: 'log_null', logger: null },
+        'SELECT * FROM Users WHERE userId = 1;'))
+      .isArray()
+      .eq($[0].userId, 1);
+  },
+});
+
+
+/******************************************************************************/
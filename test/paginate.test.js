@@ -0,0 +1,262 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { dbFetch, dbPaginate, dbIterate } from "../lib/query.js";
+import { InvalidCursorError, SQLSyntaxError } from "../lib/errors.js";
+
+
+/******************************************************************************/
+
+
+/* The query that is paged through in the tests; the order has keys in both
+ * directions, to ensure that the keyset predicate handles them. */
+const pageQuery = 'SELECT p.* FROM Pages p WHERE pageId > :minId ORDER BY p.pageGroup DESC, pageId';
+
+/* The secret that the cursors in the tests are signed with. */
+const cursorSecret = 'paginate-test-secret';
+
+
+/* Fetch every page of the page query using the given options, starting with
+ * the given cursor and following the cursor in the given key, and return back
+ * the rows of every page in the order that they were fetched. */
+async function fetchAllPages(ctx, action, options, cursorKey = 'nextCursor') {
+  const pages = [];
+  let cursor = options.cursor ?? null;
+
+  do {
+    const page = await dbPaginate(ctx.env.DB, { action, logger: null, cursorSecret }, pageQuery, { minId: 2 },
+                                  { ...options, cursor });
+    pages.push(page.rows);
+    cursor = page[cursorKey];
+  } while (cursor !== null);
+
+  return pages;
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Pagination`({
+  /* This set of tests verifies that keyset pagination visits every row of a
+   * query exactly once, in order, in both directions. */
+  "Keyset Pagination": async ({ runScope: ctx }) => {
+    await dbFetch(ctx.env.DB, { action: 'paginate_setup', logger: null },
+      'CREATE TABLE Pages (pageId INTEGER PRIMARY KEY, pageGroup INTEGER, isOn INTEGER);',
+      ...Array.from({ length: 12 }, (_, i) => `INSERT INTO Pages VALUES (${i + 1}, ${(i + 1) % 3}, 1);`));
+
+    const expected = await dbFetch(ctx.env.DB, { action: 'paginate_expected', logger: null },
+      'SELECT pageId FROM Pages WHERE pageId > 2 ORDER BY pageGroup DESC, pageId;');
+
+    const firstPage = await dbPaginate(ctx.env.DB, { action: 'paginate_test_one', logger: null, cursorSecret },
+                                       pageQuery, { minId: 2 }, { limit: 4 });
+
+    $check`First page`
+      .value(firstPage)
+      .eq($.rows.length, 4)
+      .eq($.rows[0].pageId, expected[0].pageId)
+      .eq($.rows[0].isOn, true)
+      .eq($.prevCursor, null)
+      .neq($.nextCursor, null);
+
+    // Following the next cursors visits every row in order.
+    const pages = await fetchAllPages(ctx, 'paginate_test_two', { limit: 4 });
+    $check`Forward pages`
+      .value(pages.flat().map(row => row.pageId).join())
+      .eq($, expected.map(row => row.pageId).join());
+
+    $check`Forward page count`
+      .value(pages)
+      .eq($.length, 3)
+      .eq($[2].length, 2);
+
+    // Following the previous cursors from the last page visits every page in
+    // reverse, with the rows of each page still in order.
+    const lastPage = await dbPaginate(ctx.env.DB, { action: 'paginate_test_three', logger: null, cursorSecret },
+                                      pageQuery, { minId: 2 }, { limit: 4, cursor: firstPage.nextCursor });
+    const reversePages = await fetchAllPages(ctx, 'paginate_test_four',
+                                             { limit: 4, cursor: lastPage.prevCursor }, 'prevCursor');
+    $check`Backward pages`
+      .value(reversePages.map(rows => rows.map(row => row.pageId).join()))
+      .eq($.length, 1)
+      .eq($[0], firstPage.rows.map(row => row.pageId).join());
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that offset pagination visits every row of a
+   * query exactly once. */
+  "Offset Pagination": async ({ runScope: ctx }) => {
+    const options = { limit: 5, mode: 'offset' };
+    const firstPage = await dbPaginate(ctx.env.DB, { action: 'paginate_test_five', logger: null, cursorSecret },
+                                       'SELECT * FROM Pages ORDER BY pageId;', null, options);
+
+    $check`First offset page`
+      .value(firstPage)
+      .eq($.rows.length, 5)
+      .eq($.rows[4].pageId, 5)
+      .eq($.prevCursor, null)
+      .neq($.nextCursor, null);
+
+    const secondPage = await dbPaginate(ctx.env.DB, { action: 'paginate_test_six', logger: null, cursorSecret },
+                                        'SELECT * FROM Pages ORDER BY pageId;', null,
+                                        { ...options, cursor: firstPage.nextCursor });
+    $check`Second offset page`
+      .value(secondPage)
+      .eq($.rows[0].pageId, 6)
+      .neq($.prevCursor, null);
+
+    const thirdPage = await dbPaginate(ctx.env.DB, { action: 'paginate_test_seven', logger: null, cursorSecret },
+                                       'SELECT * FROM Pages ORDER BY pageId;', null,
+                                       { ...options, cursor: secondPage.nextCursor });
+    $check`Last offset page`
+      .value(thirdPage)
+      .eq($.rows.length, 2)
+      .eq($.nextCursor, null);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that iteration visits every row of a query in
+   * chunks, whether or not the query can be iterated by keyset. */
+  "Iteration": async ({ runScope: ctx }) => {
+    const queries = [
+      'SELECT * FROM Pages ORDER BY pageGroup, pageId;',
+      'SELECT * FROM Pages;',
+      'SELECT * FROM Pages ORDER BY pageId * 2;',
+      'SELECT pageId, isOn FROM Pages ORDER BY pageGroup, pageId;'
+    ];
+
+    for (const sql of queries) {
+      const chunks = [];
+      for await (const rows of dbIterate(ctx.env.DB, { action: 'iterate_test_one', logger: null },
+                                         sql, null, { chunkSize: 5 })) {
+        chunks.push(rows);
+      }
+
+      $check`Iterate in chunks: ${sql}`
+        .value(chunks.map(rows => rows.length))
+        .eq($.length, 3)
+        .eq($[0], 5)
+        .eq($[2], 2);
+
+      $check`Iterate every row: ${sql}`
+        .value(new Set(chunks.flat().map(row => row.pageId)).size)
+        .eq($, 12);
+
+      $check`Iterate with transforms: ${sql}`
+        .value(chunks[2][0])
+        .eq($.isOn, true);
+    }
+
+    // Rows that share a sort key across the edge of a chunk are not skipped;
+    // only a rowid is known to be unique, so these are fetched by offset unless
+    // keyset is asked for.
+    const orderings = [
+      ['SELECT pageId, pageGroup FROM Pages ORDER BY pageGroup;', {}],
+      ['SELECT pageId, pageGroup FROM Pages ORDER BY pageGroup, pageId;', {}],
+      ['SELECT rowid, pageGroup FROM Pages ORDER BY pageGroup, rowid;', {}],
+      ['SELECT pageId, pageGroup FROM Pages ORDER BY pageGroup, pageId;', { mode: 'keyset' }]
+    ];
+
+    for (const [sql, options] of orderings) {
+      const rows = [];
+      for await (const chunk of dbIterate(ctx.env.DB, { action: 'iterate_test_four', logger: null },
+                                          sql, null, { chunkSize: 5, ...options })) {
+        rows.push(...chunk);
+      }
+
+      $check`Iterate over duplicate keys: ${sql}`
+        .value(rows.map(row => row.pageGroup).join())
+        .eq($, '0,0,0,0,1,1,1,1,2,2,2,2');
+    }
+
+    // Binds are applied to the query, and a query with no results produces no
+    // chunks at all.
+    const chunks = [];
+    for await (const rows of dbIterate(ctx.env.DB, { action: 'iterate_test_two', logger: null },
+                                       'SELECT * FROM Pages WHERE pageId > ? ORDER BY pageId;', [100])) {
+      chunks.push(rows);
+    }
+    $check`Iterate with no results`
+      .value(chunks)
+      .eq($.length, 0);
+
+    await $check`Invalid chunk size`
+      .value(dbIterate(ctx.env.DB, { action: 'iterate_test_three', logger: null },
+                       'SELECT * FROM Pages;', null, { chunkSize: 0 }).next().catch(err => err))
+      .instanceof($, Error)
+      .eq($.message, 'iteration chunk size must be a positive integer');
+
+    await $check`Invalid iteration mode`
+      .value(dbIterate(ctx.env.DB, { action: 'iterate_test_three', logger: null },
+                       'SELECT * FROM Pages;', null, { mode: 'sideways' }).next().catch(err => err))
+      .instanceof($, Error)
+      .eq($.message, 'invalid iteration mode \'sideways\'; must be one of auto, keyset, offset');
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that cursors are tied to their query and cannot
+   * be altered, and that queries which cannot be paginated are rejected. */
+  "Pagination Failures": async ({ runScope: ctx }) => {
+    const page = await dbPaginate(ctx.env.DB, { action: 'paginate_test_eight', logger: null, cursorSecret },
+                                  pageQuery, { minId: 2 }, { limit: 4 });
+
+    await $check`Cursor with different binds`
+      .value(dbPaginate(ctx.env.DB, { action: 'paginate_test_nine', logger: null, cursorSecret },
+                        pageQuery, { minId: 3 }, { limit: 4, cursor: page.nextCursor }).catch(err => err))
+      .instanceof($, InvalidCursorError)
+      .eq($.message, 'pagination cursor is not valid for this query');
+
+    await $check`Cursor with a different secret`
+      .value(dbPaginate(ctx.env.DB, { action: 'paginate_test_ten', logger: null, cursorSecret: 'secret' },
+                        pageQuery, { minId: 2 }, { limit: 4, cursor: page.nextCursor }).catch(err => err))
+      .instanceof($, InvalidCursorError);
+
+    await $check`Malformed cursor`
+      .value(dbPaginate(ctx.env.DB, { action: 'paginate_test_eleven', logger: null, cursorSecret },
+                        pageQuery, { minId: 2 }, { limit: 4, cursor: 'not-a-cursor' }).catch(err => err))
+      .instanceof($, InvalidCursorError)
+      .eq($.message, 'pagination cursor is malformed');
+
+    const failures = [
+      ['SELECT * FROM Pages;', 'keyset pagination requires an ORDER BY clause'],
+      ['SELECT * FROM Pages ORDER BY pageId LIMIT 5;', 'paginated queries cannot have a LIMIT clause'],
+      ['SELECT * FROM Pages ORDER BY pageId + 1;', "ORDER BY terms in paginated queries must be result columns; found 'pageId + 1'"],
+      ['SELECT pageId AS ident FROM Pages ORDER BY pageId;', "ORDER BY terms in paginated queries must be result columns; found 'pageId'"],
+      ['DELETE FROM Pages;', 'only SELECT statements can be paginated']
+    ];
+
+    for (const [sql, message] of failures) {
+      await $check`Query that cannot be paginated: ${sql}`
+        .value(dbPaginate(ctx.env.DB, { action: 'paginate_test_twelve', logger: null, cursorSecret }, sql).catch(err => err))
+        .instanceof($, SQLSyntaxError)
+        .eq($.message, message);
+    }
+
+    // Keys are matched to result columns as SQLite matches them.
+    await $check`Key that differs in case from its result column`
+      .value(dbPaginate(ctx.env.DB, { action: 'paginate_test_twelve', logger: null, cursorSecret },
+                        'SELECT pageId FROM Pages ORDER BY PAGEID;', null, { limit: 4 }))
+      .eq($.rows.length, 4)
+      .eq($.rows[3].pageId, 4)
+      .neq($.nextCursor, null);
+
+    await $check`Invalid page size`
+      .value(dbPaginate(ctx.env.DB, 'paginate_test_thirteen', pageQuery, { minId: 2 }, { limit: 0 }))
+      .throws($, 'pagination limit must be a positive integer');
+
+    await $check`Pagination without a cursor secret`
+      .value(dbPaginate(ctx.env.DB, { action: 'paginate_test_fourteen', logger: null }, pageQuery, { minId: 2 }))
+      .throws($, 'pagination requires the cursorSecret query option to sign its cursors');
+  },
+});
+
+
+/******************************************************************************/
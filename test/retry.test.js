@@ -0,0 +1,130 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { SQLStatement } from "../lib/statement.js";
+import { dbRawQuery } from "../lib/query.js";
+import { isRetryableError } from "../lib/retry.js";
+
+
+/******************************************************************************/
+
+
+/* Create and return a statement whose execution fails with the given message
+ * the given number of times before succeeding. The statement is marked as read
+ * only or not based on the readOnly flag. */
+function flakyStatement(failures, message, readOnly = true) {
+  let calls = 0;
+  const statement = {
+    all: async () => {
+      if (calls++ < failures) {
+        throw new Error(message);
+      }
+      return { success: true, meta: { duration: 0 }, results: [{ calls }] };
+    }
+  };
+
+  return new SQLStatement(statement, null, true, readOnly);
+}
+
+
+/* Create and return a logger that captures the records given to it into the
+ * records array along with the level at which they were logged. */
+function captureLogger() {
+  const records = [];
+  const capture = level => (record) => records.push({ level, ...record });
+
+  return {
+    records,
+    info: capture('info'),
+    warn: capture('warn'),
+    error: capture('error')
+  };
+}
+
+
+/******************************************************************************/
+
+
+const transient = 'D1_ERROR: Network connection lost.';
+
+
+/******************************************************************************/
+
+
+export default Collection`Query Retries`({
+  /* This set of tests verifies that errors are correctly classified as being
+   * transient or not. */
+  "Error Classification": ({ runScope: ctx }) => {
+    $check`Network connection lost`
+      .value(isRetryableError(new Error(transient)))
+      .eq($, true);
+
+    $check`Overloaded database`
+      .value(isRetryableError(new Error('D1 DB is overloaded. Too many requests queued.')))
+      .eq($, true);
+
+    $check`Storage timeout`
+      .value(isRetryableError(new Error('D1 DB storage operation exceeded timeout which caused object to be reset.')))
+      .eq($, true);
+
+    $check`Constraint failure`
+      .value(isRetryableError(new Error('D1_ERROR: UNIQUE constraint failed: Users.userId: SQLITE_CONSTRAINT')))
+      .eq($, false);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that queries are retried according to the
+   * retry policy, and that every failed attempt is logged. */
+  "Retry Policy": async ({ runScope: ctx }) => {
+    const retry = { baseDelay: 1 };
+
+    // A read that fails transiently succeeds on a later attempt.
+    const logger = captureLogger();
+    await $check`Transient read failure is retried`
+      .value(dbRawQuery(ctx.env.DB, flakyStatement(2, transient), { action: 'retry_test_one', retry, logger }))
+      .isArray()
+      .eq($[0].calls, 3);
+
+    $check`Retries are logged`
+      .value(logger.records)
+      .eq($.length, 3)
+      .eq($[0].level, 'warn')
+      .eq($[0].event, 'retry')
+      .eq($[0].attempt, 1)
+      .eq($[1].attempt, 2)
+      .eq($[2].event, 'query')
+      .eq($[2].attempt, 3);
+
+    // Once the attempts are exhausted, the error is raised.
+    await $check`Attempts are limited`
+      .value(dbRawQuery(ctx.env.DB, flakyStatement(3, transient), { action: 'retry_test_two', retry, logger: null }))
+      .throws($, transient);
+
+    // Errors that are not transient are never retried.
+    await $check`Non-transient errors are not retried`
+      .value(dbRawQuery(ctx.env.DB, flakyStatement(1, 'D1_ERROR: no such table: Nope'),
+        { action: 'retry_test_three', retry, logger: null }))
+      .throws($, 'D1_ERROR: no such table: Nope');
+
+    // Writes are not retried by default, but can be if the policy allows.
+    await $check`Writes are not retried by default`
+      .value(dbRawQuery(ctx.env.DB, flakyStatement(1, transient, false), { action: 'retry_test_four', retry, logger: null }))
+      .throws($, transient);
+
+    await $check`Writes are retried when allowed`
+      .value(dbRawQuery(ctx.env.DB, flakyStatement(1, transient, false),
+        { action: 'retry_test_five', retry: { ...retry, readOnlyOnly: false }, logger: null }))
+      .isArray()
+      .eq($[0].calls, 2);
+
+    // Retries can be turned off entirely.
+    await $check`Retries disabled`
+      .value(dbRawQuery(ctx.env.DB, flakyStatement(1, transient), { action: 'retry_test_six', retry: null, logger: null }))
+      .throws($, transient);
+  },
+});
+
+
+/******************************************************************************/
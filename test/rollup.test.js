@@ -1,7 +1,12 @@
 import { Collection, $check, $ } from "@axel669/aegis";
 import { rollup } from 'rollup';
+import { readFileSync, unlinkSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import ts from 'typescript';
 import rollupConfig from './rollup/rollup.config.js';
-import { dbFetch } from "../lib/index.js";
+import d1sql from '../rollup/rollup-plugin.js';
+import { HELPER_MODULE_ID, createSQLImporter } from '../rollup/sql-import.js';
+import { dbFetch, SQLStatement } from "../lib/index.js";
 
 
 /******************************************************************************/
@@ -21,6 +26,20 @@ async function runRollupBuild() {
 }
 
 
+/* Invoke rollup to build the given SQL file on its own, with the plugin using
+ * the given options, returning the error that the build fails with, or null if
+ * it does not fail. */
+async function buildError(input, options) {
+  try {
+    const bundle = await rollup({ input, plugins: [d1sql(options)], onwarn: () => {} });
+    await bundle.close();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+
 /* Given the overall test context and the name of the module that was generated
  * by the rollup run, import all of the queries from the generated module and
  * return them back.
@@ -76,6 +95,18 @@ export default Collection`Rollup Plugin`({
       .isFunction($.insert_select)
       .isFunction($.insert_role)
       .isFunction($.executeInsertRole)
+      .isFunction($.runInsertRole)
+      .isFunction($.fetchLabeledRoles)
+      .isFunction($.fetchRolesIn)
+      .isFunction($.fetchRolesOptional)
+      .isFunction($.fetchRoleName)
+      .isFunction($.fetchRolesFrom)
+      .isFunction($.insertNamedRole)
+      .isFunction($.getNamedRole)
+      .isFunction($.getFirstNamedRole)
+      .isFunction($.listNamedRoles)
+      .isFunction($.renameNamedRole)
+      .isFunction($.renameNamedRole.statements)
       .isFunction($.fetchFirst_single_result)
       .isFunction($.fetchFirst_batch_first_returns)
       .isFunction($.fetchFirst_batch_later_returns)
@@ -85,6 +116,48 @@ export default Collection`Rollup Plugin`({
       .isFunction($.fetchFirst_potential_no_result)
       .isFunction($.fetchFirst_multiple_potential_no_results)
       .isFunction($.fetchFirst_first_potential_empty);
+
+    // A SQL file with a statement that could never be executed within the
+    // limits fails the build.
+    $check`Statement exceeding limits`
+      .call(() => d1sql({ limits: { maxParams: 1 } }).load('test/rollup/sql/two_bindable.sql'))
+      .throws($, 'statement has 2 bind parameters, which exceeds the maximum of 1');
+
+    // Files with named queries must name every query exactly once.
+    $check`Duplicate query names`
+      .call(() => d1sql().load('test/rollup/sql/invalid/duplicate_name.sql'))
+      .throws($, "test/rollup/sql/invalid/duplicate_name.sql: duplicate query name 'getRole'");
+
+    $check`Statement before the first query name`
+      .call(() => d1sql().load('test/rollup/sql/invalid/unnamed_first.sql'))
+      .throws($, 'test/rollup/sql/invalid/unnamed_first.sql: statements in a file with named queries must follow a @name annotation');
+
+    // Errors in the SQL fail the build with their location, which Rollup
+    // reports with columns that start at 0.
+    await $check`Statement with invalid syntax`
+      .value(buildError('test/rollup/sql/invalid/bad_syntax.sql'))
+      .eq($.code, 'PLUGIN_ERROR')
+      .eq($.plugin, 'd1-sql-import')
+      .eq($.loc.file, resolve('test/rollup/sql/invalid/bad_syntax.sql'))
+      .eq($.loc.line, 3)
+      .eq($.loc.column, 31)
+      .eq($.frame, '  |\n3 |      VALUES (:roleId, :roleName;\n  |                                ^')
+      .eq($.message, `Could not load ${resolve('test/rollup/sql/invalid/bad_syntax.sql')}: ` +
+                     '[plugin d1-sql-import] test/rollup/sql/invalid/bad_syntax.sql (3:31): invalid SQL syntax')
+      .eq($.cause.message, 'invalid SQL syntax');
+
+    // With a schema, references to things that are not in it fail the build
+    // with their location, unless validation is turned off.
+    const schema = ['test/setup.sql', 'test/rollup/sql/create_roles.sql'];
+    await $check`Statement with an unknown column`
+      .value(buildError('test/rollup/sql/invalid/unknown_column.sql', { schema }))
+      .eq($.loc.line, 5)
+      .eq($.loc.column, 7)
+      .eq($.cause.message, `${resolve('test/rollup/sql/invalid/unknown_column.sql')}:5:8: no such column 'rolName'`);
+
+    $check`Statement with an unknown column without validation`
+      .value(d1sql({ schema, validate: false }).load('test/rollup/sql/invalid/unknown_column.sql'))
+      .isObject($);
   },
 
 
@@ -403,6 +476,471 @@ export default Collection`Rollup Plugin`({
         { roleId: 1 },
         { roleId: 2 }))
       .eq($, undefined);
+
+    // Running a single statement returns the result along with the metadata.
+    await $check`run() with a single statement`
+      .value(ctx.queries.runInsertRole(ctx.env.DB, 'run_single_role',
+        { roleId: 600, roleName: 'Runner' }))
+      .isNotArray()
+      .isArray($.rows)
+      .eq($.rows.length, 0)
+      .eq($.meta.changes, 1)
+      .eq($.meta.last_row_id, 600);
+
+    // Running multiple statements returns the result of each.
+    await $check`run() with multiple binds`
+      .value(ctx.queries.runInsertRole(ctx.env.DB, 'run_multiple_roles',
+        { roleId: 601, roleName: 'Runner 2' },
+        { roleId: 602, roleName: 'Runner 3' }))
+      .isArray()
+      .eq($.length, 2)
+      .eq($[0].meta.last_row_id, 601)
+      .eq($[1].meta.last_row_id, 602);
+
+    // Labels in the SQL file key the results of the batch by name.
+    await $check`fetchLabeled() with labeled statements`
+      .value(ctx.queries.fetchLabeledRoles(ctx.env.DB, 'fetch_labeled_roles',
+        { roleId: 610, roleName: 'Labeled' },
+        { roleId: 610 }))
+      .isNotArray()
+      .eq($.role.roleName, 'Labeled')
+      .neq($.roleCount, null)
+      .isArray($.roles)
+      .eq($.roles[0].roleId, 610);
+
+    // Arrays bound to IN lists in the SQL file are expanded.
+    await $check`fetch() with an IN list`
+      .value(ctx.queries.fetchRolesIn(ctx.env.DB, 'fetch_roles_in', { roleIds: [600, 601, 610] }))
+      .isArray()
+      .eq($.length, 3)
+      .eq($[2].roleId, 610);
+
+    await $check`fetch() with an empty IN list`
+      .value(ctx.queries.fetchRolesIn(ctx.env.DB, 'fetch_roles_in', { roleIds: [] }))
+      .isArray()
+      .eq($.length, 0);
+
+    // Binds declared as optional in the SQL file use their defaults.
+    await $check`fetch() with optional binds`
+      .value(ctx.queries.fetchRolesOptional(ctx.env.DB, 'fetch_roles_optional', { roleName: 'Labeled' }))
+      .isArray()
+      .eq($.length, 1)
+      .eq($[0].roleId, 610);
+
+    await $check`fetch() with default binds`
+      .value(ctx.queries.fetchRolesOptional(ctx.env.DB, 'fetch_roles_optional', { maxRoles: 2 }))
+      .isArray()
+      .eq($.length, 2);
+
+    // When every bind is optional, no binds need to be given at all.
+    await $check`fetch() with no binds`
+      .value(ctx.queries.fetchRolesOptional(ctx.env.DB, 'fetch_roles_optional'))
+      .isArray()
+      .gt($.length, 2);
+
+    // Files with other extensions are imported when the plugin is told to.
+    await $check`fetchOne() from a file with another extension`
+      .value(ctx.queries.fetchRoleName(ctx.env.DB, 'fetch_role_name', { roleId: 610 }))
+      .eq($.roleName, 'Labeled');
+
+    // Binds in included files are binds of the statement that includes them.
+    await $check`fetch() with binds in an included file`
+      .value(ctx.queries.fetchRolesFrom(ctx.env.DB, 'fetch_roles_from', { minId: 602, length: 8 }))
+      .isArray()
+      .eq($.length, 1)
+      .eq($[0].roleId, 602);
+
+    await $check`fetch() with a default for a bind in an included file`
+      .value(ctx.queries.fetchRolesFrom(ctx.env.DB, 'fetch_roles_from', { length: 8 }))
+      .isArray()
+      .eq($.length, 2)
+      .eq($[0].roleId, 601);
+
+    // Named queries in the SQL file return their results as they say.
+    await $check`Named query that returns nothing`
+      .value(ctx.queries.insertNamedRole(ctx.env.DB, 'insert_named_role', { roleId: 620, roleName: 'Named' }))
+      .eq($, undefined);
+
+    await $check`Named query that returns one row`
+      .value(ctx.queries.getNamedRole(ctx.env.DB, 'get_named_role', { roleId: 620 }))
+      .isNotArray()
+      .eq($.roleName, 'Named');
+
+    await $check`Named query that returns the first row`
+      .value(ctx.queries.getFirstNamedRole(ctx.env.DB, 'get_first_named_role', { roleId: 610 }))
+      .isNotArray()
+      .eq($.roleId, 610);
+
+    await $check`Named query that returns many rows`
+      .value(ctx.queries.listNamedRoles(ctx.env.DB, 'list_named_roles', { roleId: 610 }))
+      .isArray()
+      .eq($.length, 2)
+      .eq($[1].roleId, 620);
+
+    await $check`Named query with a batch`
+      .value(ctx.queries.renameNamedRole(ctx.env.DB, 'rename_named_role',
+        { roleId: 620, roleName: 'Renamed' },
+        { roleId: 620 }))
+      .eq($, undefined);
+
+    await $check`Named query statements`
+      .value(ctx.queries.renameNamedRole.statements(ctx.env.DB, { roleId: 620, roleName: 'Renamed' }, { roleId: 620 }))
+      .isArray()
+      .eq($.length, 2)
+      .instanceof($[0], SQLStatement);
+
+    await $check`Named query after a batch`
+      .value(ctx.queries.getNamedRole(ctx.env.DB, 'get_named_role', { roleId: 620 }))
+      .eq($.roleName, 'Renamed');
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that the plugin can write TypeScript declarations
+   * for the modules that it generates, with the binds of the SQL as types. */
+  "Declarations": async ({ runScope: ctx }) => {
+    // Load the SQL file with declarations on, then read them back and remove
+    // them so they are not left behind.
+    const declarations = file => {
+      d1sql({ declarations: true }).load(`test/rollup/sql/${file}.sql`);
+      const content = readFileSync(`test/rollup/sql/${file}.d.sql.ts`, 'utf8');
+      unlinkSync(`test/rollup/sql/${file}.d.sql.ts`);
+      return content;
+    };
+
+    const single = declarations('single');
+    $check`Declarations for a statement without binds`
+      .value(single.includes('declare function fetch(db: D1Database, action: Action): Promise<Row[]>;'))
+      .eq($, true);
+
+    $check`Declarations of the exports`
+      .value(single.includes('export default statements;'))
+      .eq($, true);
+
+    const optional = declarations('optional_params');
+    $check`Declarations for optional binds`
+      .value(optional.includes('...binds: [] | [{ roleName?: BindValue; maxRoles?: BindValue }]): Promise<Row[]>;'))
+      .eq($, true);
+
+    $check`Declarations for a batch of a single statement`
+      .value(optional.includes('...binds: [{ roleName?: BindValue; maxRoles?: BindValue }, ...{ roleName?: BindValue; maxRoles?: BindValue }[]]): Promise<Row[][]>;'))
+      .eq($, true);
+
+    $check`Declarations for IN list binds`
+      .value(declarations('in_list').includes('{ roleIds: BindValue | BindValue[] }'))
+      .eq($, true);
+
+    $check`Declarations for labeled results`
+      .value(declarations('labeled').includes('Promise<{ role: Row | null; roleCount: unknown; roles: Row[] }>'))
+      .eq($, true);
+
+    const named = declarations('named_queries');
+    $check`Declarations for named queries`
+      .value([
+        'declare function query1(db: D1Database, action: Action, ...binds: [{ roleId: BindValue }]): Promise<Row | null>;',
+        'export { query1 as getNamedRole };',
+        '  function statements(db: D1Database, ...binds: [] | [{ roleName: BindValue; roleId: BindValue }, { roleId: BindValue }]): SQLStatement[];'
+      ].every(text => named.includes(text)))
+      .eq($, true);
+
+    // With a schema, the rows of results are typed from it.
+    const typed = file => {
+      d1sql({ declarations: true, schema: ['test/setup.sql', 'test/rollup/sql/create_roles.sql', 'test/rollup/sql/create_events.sql'] })
+        .load(`test/rollup/sql/${file}.sql`);
+      const content = readFileSync(`test/rollup/sql/${file}.d.sql.ts`, 'utf8');
+      unlinkSync(`test/rollup/sql/${file}.d.sql.ts`);
+      return content;
+    };
+
+    const labeled = typed('labeled');
+    $check`Declarations with rows typed from a schema`
+      .value([
+        'Promise<{ roleId: number; roleName: string } | null>',
+        'roleCount: number | null',
+        'Promise<[Row[], { roleId: number; roleName: string }[], { "COUNT(*)": number }[], { roleId: number; roleName: string }[]]>'
+      ].every(text => labeled.includes(text)))
+      .eq($, true);
+
+    // Columns with NUMERIC affinity, such as DATETIME, can hold strings, while
+    // those with REAL affinity can only hold numbers.
+    $check`Declarations with rows typed from their column affinity`
+      .value(typed('events'))
+      .includes($, 'Promise<{ eventId: number; startsAt: number | string; endsAt: number | string | null; ' +
+                   'price: number | string; weight: number; isPublic: boolean }[]>');
+
+    $check`No declarations by default`
+      .value((d1sql().load('test/rollup/sql/single.sql'), existsSync('test/rollup/sql/single.d.sql.ts')))
+      .eq($, false);
+
+    // Only the wrappers that the module has are declared, and the declarations
+    // for files with other extensions are named for that extension.
+    d1sql({ declarations: true, extensions: ['.query'], wrappers: ['fetchOne'] })
+      .load('test/rollup/sql/role_name.query');
+    const wrapped = readFileSync('test/rollup/sql/role_name.d.query.ts', 'utf8');
+    unlinkSync('test/rollup/sql/role_name.d.query.ts');
+
+    $check`Declarations for a subset of the wrappers`
+      .value([
+        wrapped.includes('declare function fetchOne(db: D1Database, action: Action, ...binds: [{ roleId: BindValue }]): Promise<Row | null>;'),
+        wrapped.includes('declare function fetch('),
+        wrapped.includes('export { statements, fetchOne };')
+      ])
+      .eq($[0], true)
+      .eq($[1], false)
+      .eq($[2], true);
+
+    // Type check the given code, which has the exports of the SQL file in the
+    // "sql" namespace and a database in "db", against its declarations,
+    // returning back the messages of any errors.
+    const typeErrors = (file, code) => {
+      d1sql({ declarations: true }).load(`test/rollup/sql/${file}.sql`);
+      const checked = resolve(`test/rollup/sql/${file}.check.ts`);
+      const source = 'declare global { interface D1Database {} interface D1PreparedStatement {} }\n' +
+                     `import * as sql from './${file}.sql';\ndeclare const db: D1Database;\n${code}\n`;
+
+      const options = {
+        noEmit: true, strict: true, types: [], allowArbitraryExtensions: true,
+        target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.ESNext, moduleResolution: ts.ModuleResolutionKind.Bundler
+      };
+      const host = ts.createCompilerHost(options);
+      const getSourceFile = host.getSourceFile;
+      host.getSourceFile = (name, ...args) => name === checked
+        ? ts.createSourceFile(name, source, ts.ScriptTarget.ES2022)
+        : getSourceFile(name, ...args);
+
+      try {
+        const program = ts.createProgram([checked], options, host);
+        return ts.getPreEmitDiagnostics(program).map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+      } finally {
+        unlinkSync(`test/rollup/sql/${file}.d.sql.ts`);
+      }
+    };
+
+    $check`Calls without binds when they are all optional`
+      .value(typeErrors('optional_params', "sql.fetch(db, 'a');\nsql.fetch(db, 'a', { maxRoles: 2 }, {});"))
+      .eq($.length, 0);
+
+    $check`Calls with required binds`
+      .value(typeErrors('two_bindable', "sql.statements(db);\nsql.run(db, 'a', { roleId: 1 }, { roleId: 1, roleName: 'a' });"))
+      .eq($.length, 0);
+
+    $check`Calls that are missing required binds`
+      .value(typeErrors('single_bindable', "sql.fetch(db, 'a');"))
+      .eq($.length, 1)
+      .eq($[0], 'Expected at least 3 arguments, but got 2.');
+
+    $check`Batch calls that are missing required binds`
+      .value(typeErrors('two_bindable', "sql.run(db, 'a');"))
+      .eq($.length, 1)
+      .eq($[0], 'Expected 4 arguments, but got 2.');
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies the options that control which files the plugin
+   * imports and the code that it generates for them. */
+  "Plugin Options": async ({ runScope: ctx }) => {
+    const files = [
+      'test/rollup/sql/single.sql',
+      'test/rollup/sql/fetchFirst/single_result.sql',
+      'test/rollup/sql/role_name.query',
+      'src/main.js'
+    ];
+    const filtered = options => {
+      const plugin = d1sql(options);
+      return files.map(file => plugin.load(file) !== null);
+    };
+
+    $check`Only SQL files are imported by default`
+      .value(filtered())
+      .eq($[0], true)
+      .eq($[1], true)
+      .eq($[2], false)
+      .eq($[3], false);
+
+    $check`Extensions of the files to import`
+      .value(filtered({ extensions: ['.sql', '.query'] }))
+      .eq($[0], true)
+      .eq($[1], true)
+      .eq($[2], true)
+      .eq($[3], false);
+
+    $check`Files to include by glob pattern`
+      .value(filtered({ include: 'test/rollup/sql/*.sql' }))
+      .eq($[0], true)
+      .eq($[1], false)
+      .eq($[2], false)
+      .eq($[3], false);
+
+    $check`Files to exclude by glob pattern`
+      .value(filtered({ exclude: '**/fetchFirst/**' }))
+      .eq($[0], true)
+      .eq($[1], false)
+      .eq($[2], false)
+      .eq($[3], false);
+
+    $check`Files to include by alternatives`
+      .value(filtered({ extensions: ['.sql', '.query'], include: 'test/rollup/sql/{single,role_name}.*' }))
+      .eq($[0], true)
+      .eq($[1], false)
+      .eq($[2], true)
+      .eq($[3], false);
+
+    $check`Files to exclude by regular expression`
+      .value(filtered({ exclude: [/single/, /nothing/] }))
+      .eq($[0], false)
+      .eq($[1], false)
+      .eq($[2], false)
+      .eq($[3], false);
+
+    $check`Invalid file filter`
+      .call(() => d1sql({ include: 12 }))
+      .throws($, "invalid path filter '12'; expected a glob pattern or regular expression");
+
+    // Only the wrappers that are asked for are generated, importing only the
+    // functions that they need.
+    const code = d1sql({ wrappers: ['fetchOne', 'execute'] }).load('test/rollup/sql/single.sql').code;
+    $check`Generating a subset of the wrappers`
+      .value([
+        code.includes('import { dbFetchOne, dbFetch } from "@odatnurd/d1-query";'),
+        code.includes('export async function fetchOne('),
+        code.includes('export async function execute('),
+        code.includes('export async function fetch('),
+        code.includes('export default statements;')
+      ])
+      .eq($[0], true)
+      .eq($[1], true)
+      .eq($[2], true)
+      .eq($[3], false)
+      .eq($[4], true);
+
+    $check`Generating no wrappers`
+      .value(d1sql({ wrappers: [] }).load('test/rollup/sql/single.sql').code.includes('from "@odatnurd/d1-query"'))
+      .eq($, false);
+
+    $check`Unknown wrapper`
+      .call(() => d1sql({ wrappers: ['fetchAll'] }))
+      .throws($, "unknown wrapper 'fetchAll'; must be one of fetch, fetchOne, fetchFirst, fetchLabeled, execute, run");
+
+    // The library can be imported by another specifier, in both the generated
+    // modules and the helper module that they use.
+    const plugin = d1sql({ importSpecifier: 'd1-query' });
+    $check`Import specifier of the library`
+      .value([
+        plugin.load('test/rollup/sql/single.sql').code.includes('} from "d1-query";'),
+        plugin.load('test/rollup/sql/named_queries.sql').code.includes('} from "d1-query";'),
+        plugin.load(HELPER_MODULE_ID).includes('} from "d1-query";'),
+        plugin.load(HELPER_MODULE_ID).includes('@odatnurd/d1-query')
+      ])
+      .eq($[0], true)
+      .eq($[1], true)
+      .eq($[2], true)
+      .eq($[3], false);
+
+    // The SQL in the module is minified by default, keeping the original text
+    // of each statement as its source unless asked not to.
+    const sqlInfo = options => {
+      const code = d1sql(options).load('test/rollup/sql/insert_select.sql').code;
+      return JSON.parse(code.match(/^const sqlInfo = (.*);$/m)[1]);
+    };
+    $check`SQL is minified by default`
+      .value(sqlInfo())
+      .eq($[0].sql, 'INSERT INTO Roles(roleId,roleName)VALUES(?1,?2)')
+      .eq($[0].source, 'INSERT INTO Roles (roleId, roleName) VALUES (:roleId, :roleName)')
+      .eq($[1].sql, 'SELECT * FROM Roles WHERE roleId=?1')
+      .eq($[1].source, 'SELECT * FROM Roles WHERE roleId = :roleId');
+
+    $check`SQL without minification`
+      .value(sqlInfo({ minify: false }))
+      .eq($[0].sql, 'INSERT INTO Roles (roleId, roleName) VALUES (?1, ?2)')
+      .eq($[0].source, undefined);
+
+    $check`Minified SQL without its source`
+      .value(sqlInfo({ keepSource: false }))
+      .eq($[0].sql, 'INSERT INTO Roles(roleId,roleName)VALUES(?1,?2)')
+      .eq($[0].source, undefined);
+
+    // The source carries through to the statements that are prepared.
+    $check`Source of a prepared statement`
+      .value(ctx.queries.insert_select(ctx.env.DB, { roleId: 1, roleName: 'a' }, { roleId: 1 }))
+      .eq($[0].source, 'INSERT INTO Roles (roleId, roleName) VALUES (:roleId, :roleName)')
+      .instanceof($[0], SQLStatement);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests validates that SQL files can include other files, and
+   * that errors in them are reported where they are. */
+  "Includes": async ({ runScope: ctx }) => {
+    // Included files are expanded in place, including the files that they
+    // include, which are watched for changes.
+    const watched = [];
+    const code = createSQLImporter({ minify: false }).load('test/rollup/sql/included.sql', undefined,
+                                                           file => watched.push(file));
+    const sqlInfo = JSON.parse(code.match(/^const sqlInfo = (.*);$/m)[1]);
+    $check`Included files are expanded`
+      .value(sqlInfo[0])
+      .eq($.sql, 'WITH RolesFrom AS (\n  SELECT\n    -- The columns of a role.\nroleId, roleName\n    FROM Roles\n' +
+                 '   WHERE roleId >= ?1\n)\nSELECT * FROM RolesFrom\n WHERE length(roleName) = ?2\n ORDER BY roleId')
+      .eq($.bindMetadata.params.minId, 0)
+      .eq($.bindMetadata.params.length, 1)
+      .eq($.bindMetadata.defaults.minId, 0);
+
+    $check`Included files are watched`
+      .value(watched)
+      .eq($.length, 2)
+      .eq($[0], resolve('test/rollup/sql/fragments/roles_from.sql'))
+      .eq($[1], resolve('test/rollup/sql/fragments/role_columns.sql'));
+
+    await $check`Included files are watched by Rollup`
+      .value((async () => {
+        const bundle = await rollup({ input: 'test/rollup/sql/included.sql', plugins: [d1sql()], onwarn: () => {} });
+        await bundle.close();
+        return [
+          bundle.watchFiles.includes(resolve('test/rollup/sql/fragments/roles_from.sql')),
+          bundle.watchFiles.includes(resolve('test/rollup/sql/fragments/role_columns.sql'))
+        ];
+      })())
+      .eq($[0], true)
+      .eq($[1], true);
+
+    // Errors are reported at their location in the file that they are in,
+    // which may be an included file.
+    await $check`Error in an included file`
+      .value(buildError('test/rollup/sql/invalid/bad_include.sql'))
+      .eq($.loc.file, resolve('test/rollup/sql/invalid/fragments/bad_columns.sql'))
+      .eq($.loc.line, 2)
+      .eq($.loc.column, 7)
+      .eq($.frame, '  |\n2 | roleId,, roleName\n  |        ^');
+
+    // Directives that are commented out or inside of a string are not includes;
+    // the file that they name does not exist.
+    const commented = createSQLImporter({ minify: false }).load('test/rollup/sql/commented.sql',
+      "/*\n-- @include ./fragments/missing.sql\n*/\nSELECT '\n  -- @include ./fragments/missing.sql\n' AS text;\n");
+    $check`Include directives in comments and strings are ignored`
+      .value(JSON.parse(commented.match(/^const sqlInfo = (.*);$/m)[1]))
+      .eq($[0].sql, "SELECT '\n  -- @include ./fragments/missing.sql\n' AS text");
+
+    await $check`Including a file that does not exist`
+      .value(buildError('test/rollup/sql/invalid/missing_include.sql'))
+      .eq($.loc.file, resolve('test/rollup/sql/invalid/missing_include.sql'))
+      .eq($.loc.line, 3)
+      .eq($.loc.column, 2)
+      .eq($.cause.message, "cannot include './fragments/missing.sql'; file not found");
+
+    await $check`Including a file that includes itself`
+      .value(buildError('test/rollup/sql/invalid/include_cycle.sql'))
+      .eq($.loc.file, resolve('test/rollup/sql/invalid/fragments/cycle.sql'))
+      .eq($.loc.line, 1)
+      .eq($.loc.column, 0)
+      .eq($.cause.message, 'include cycle: test/rollup/sql/invalid/include_cycle.sql -> ' +
+                           'test/rollup/sql/invalid/fragments/cycle.sql -> test/rollup/sql/invalid/include_cycle.sql');
   }
 });
 
@@ -10,6 +10,9 @@ export default {
     '@odatnurd/d1-query'
   ],
   plugins: [
-    d1sql()
+    d1sql({
+      extensions: ['.sql', '.query'],
+      schema: ['test/setup.sql', 'test/rollup/sql/create_roles.sql']
+    })
   ]
 };
\ No newline at end of file
@@ -0,0 +1,9 @@
+-- Creates the Events table for testing the types of its columns
+CREATE TABLE Events (
+  eventId INTEGER PRIMARY KEY,
+  startsAt DATETIME NOT NULL,
+  endsAt TIMESTAMP,
+  price DECIMAL(10, 2) NOT NULL,
+  weight REAL NOT NULL,
+  isPublic BOOLEAN NOT NULL
+);
@@ -0,0 +1,2 @@
+-- Fetch all of the events.
+SELECT * FROM Events ORDER BY startsAt;
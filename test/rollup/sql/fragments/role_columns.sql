@@ -0,0 +1,2 @@
+-- The columns of a role.
+roleId, roleName
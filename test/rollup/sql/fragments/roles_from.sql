@@ -0,0 +1,7 @@
+-- The roles with an ID of at least the given one.
+WITH RolesFrom AS (
+  SELECT
+    -- @include ./role_columns.sql
+    FROM Roles
+   WHERE roleId >= :minId
+)
@@ -0,0 +1,2 @@
+-- Select the roles with any of the given IDs
+SELECT * FROM Roles WHERE roleId IN (:roleIds) ORDER BY roleId;
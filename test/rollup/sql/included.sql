@@ -0,0 +1,7 @@
+-- Select the roles with an ID of at least the given one and a name of the
+-- given length; the common table expression is shared with other queries.
+-- @param minId = 0
+-- @include ./fragments/roles_from.sql
+SELECT * FROM RolesFrom
+ WHERE length(roleName) = :length
+ ORDER BY roleId;
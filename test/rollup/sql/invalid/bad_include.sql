@@ -0,0 +1,4 @@
+-- Includes a fragment with invalid syntax.
+SELECT
+  -- @include ./fragments/bad_columns.sql
+  FROM Roles;
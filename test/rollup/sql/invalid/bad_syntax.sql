@@ -0,0 +1,3 @@
+-- Insert a role; the list of values is missing its closing parenthesis.
+INSERT INTO Roles (roleId, roleName)
+     VALUES (:roleId, :roleName;
@@ -0,0 +1,5 @@
+-- @name getRole
+SELECT * FROM Roles WHERE roleId = :roleId;
+
+-- @name getRole
+SELECT * FROM Roles WHERE roleName = :roleName;
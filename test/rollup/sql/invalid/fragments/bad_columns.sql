@@ -0,0 +1,2 @@
+-- The columns of a role, with one too many commas.
+roleId,, roleName
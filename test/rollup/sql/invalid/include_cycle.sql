@@ -0,0 +1,3 @@
+-- Includes a fragment that includes this file again.
+-- @include ./fragments/cycle.sql
+SELECT * FROM Roles;
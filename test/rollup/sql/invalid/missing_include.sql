@@ -0,0 +1,4 @@
+-- Includes a fragment that does not exist.
+SELECT * FROM Roles
+  -- @include ./fragments/missing.sql
+;
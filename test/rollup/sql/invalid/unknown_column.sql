@@ -0,0 +1,5 @@
+-- Select a role by its ID; the column name in the WHERE clause is misspelled.
+SELECT roleId, roleName
+  FROM Roles
+ WHERE roleID = :roleId
+    OR rolName = :roleName;
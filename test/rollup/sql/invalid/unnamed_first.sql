@@ -0,0 +1,4 @@
+SELECT * FROM Roles;
+
+-- @name getRole
+SELECT * FROM Roles WHERE roleId = :roleId;
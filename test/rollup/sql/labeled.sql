@@ -0,0 +1,12 @@
+-- A batch that labels the statements that produce results, so that the results
+-- can be returned by name.
+INSERT INTO Roles (roleId, roleName) VALUES (:roleId, :roleName);
+
+-- @label role one
+SELECT * FROM Roles WHERE roleId = :roleId;
+
+-- @label roleCount value
+SELECT COUNT(*) FROM Roles;
+
+-- @label roles
+SELECT * FROM Roles ORDER BY roleId DESC;
@@ -0,0 +1,21 @@
+-- Queries on roles, each of which is exported on its own by name.
+
+-- @name insertNamedRole
+INSERT INTO Roles (roleId, roleName) VALUES (:roleId, :roleName);
+
+-- @name getNamedRole
+-- @returns one
+SELECT * FROM Roles WHERE roleId = :roleId;
+
+-- @name getFirstNamedRole
+-- @returns first
+SELECT * FROM Roles WHERE roleId >= :roleId ORDER BY roleId;
+
+-- @name listNamedRoles
+SELECT * FROM Roles WHERE roleId >= :roleId ORDER BY roleId;
+
+-- A query with more than one statement executes them as a batch.
+-- @name renameNamedRole
+-- @returns none
+UPDATE Roles SET roleName = :roleName WHERE roleId = :roleId;
+DELETE FROM Roles WHERE roleId = :roleId AND roleName IS NULL;
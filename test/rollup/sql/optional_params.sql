@@ -0,0 +1,7 @@
+-- Select roles, optionally only those with a given name.
+-- @param roleName = null
+-- @param maxRoles = 1000
+SELECT * FROM Roles
+ WHERE (:roleName IS NULL OR roleName = :roleName)
+ ORDER BY roleId
+ LIMIT :maxRoles;
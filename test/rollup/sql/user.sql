@@ -0,0 +1,2 @@
+-- Fetch a user by their ID; the Users table is created by the test setup.
+SELECT * FROM Users WHERE userId = :userId;
@@ -11,9 +11,22 @@ export { default as three_two_bindable } from './sql/three_with_two_bindable.sql
 export { default as create_roles } from './sql/create_roles.sql';
 export {
   default as insert_role,
-  execute as executeInsertRole
+  execute as executeInsertRole,
+  run as runInsertRole
 } from './sql/insert_role.sql';
 export { default as insert_select } from './sql/insert_select.sql';
+export { fetchLabeled as fetchLabeledRoles } from './sql/labeled.sql';
+export { fetch as fetchRolesIn } from './sql/in_list.sql';
+export { fetch as fetchRolesOptional } from './sql/optional_params.sql';
+export { fetchOne as fetchRoleName } from './sql/role_name.query';
+export { fetch as fetchRolesFrom } from './sql/included.sql';
+export {
+  insertNamedRole,
+  getNamedRole,
+  getFirstNamedRole,
+  listNamedRoles,
+  renameNamedRole
+} from './sql/named_queries.sql';
 export { fetchFirst as fetchFirst_single_result } from './sql/fetchFirst/single_result.sql';
 export { fetchFirst as fetchFirst_batch_first_returns } from './sql/fetchFirst/batch_first_returns.sql';
 export { fetchFirst as fetchFirst_batch_later_returns } from './sql/fetchFirst/batch_later_returns.sql';
@@ -0,0 +1,284 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { createSchemaCatalog } from "../lib/schema.js";
+import { SQLSchemaError } from "../lib/errors.js";
+
+
+/******************************************************************************/
+
+
+/* The schema that the tests resolve statements against; this is built up in
+ * the same way as a set of migrations would build it. */
+const schema = `
+  CREATE TABLE Users (
+    userId INTEGER PRIMARY KEY,
+    username TEXT NOT NULL,
+    email VARCHAR(64),
+    isCool INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS main.Roles (roleId INTEGER NOT NULL, roleName TEXT);
+  CREATE TABLE Dropped (value);
+  CREATE INDEX UsersByName ON Users (username);
+  CREATE INDEX DroppedByValue ON Dropped (value);
+  CREATE VIEW UserNames (id, name) AS SELECT userId, username FROM Users;
+  CREATE VIRTUAL TABLE Posts USING fts5(title, body);
+  CREATE TABLE Totals (amount INTEGER, doubled INTEGER GENERATED ALWAYS AS (amount * 2) STORED, tripled AS (amount * 3));
+
+  DROP TABLE Dropped;
+  ALTER TABLE Roles ADD COLUMN extra BLOB;
+  ALTER TABLE Roles RENAME COLUMN extra TO payload;
+  ALTER TABLE Users DROP COLUMN email;
+`;
+
+
+/******************************************************************************/
+
+
+export default Collection`Schema Catalog`({
+  /* This set of tests verifies that the catalog picks up the tables in a schema
+   * along with their columns. */
+  "Schema Tables": async ({ runScope: ctx }) => {
+    const catalog = createSchemaCatalog(schema);
+
+    $check`Table columns`
+      .value(catalog.table('users').columns)
+      .eq($.length, 3)
+      .eq($[0].name, 'userId')
+      .eq($[0].type, 'INTEGER')
+      .eq($[0].notNull, true)
+      .eq($[2].name, 'isCool');
+
+    $check`Altered table columns`
+      .value(catalog.table('Roles').columns)
+      .eq($.length, 3)
+      .eq($[1].notNull, false)
+      .eq($[2].name, 'payload')
+      .eq($[2].type, 'BLOB');
+
+    $check`Dropped table`
+      .value(catalog.table('Dropped'))
+      .eq($, null);
+
+    $check`Generated columns`
+      .value(catalog.table('Totals').columns)
+      .eq($[0].generated, false)
+      .eq($[1].generated, true)
+      .eq($[2].generated, true);
+
+    // The tables that SQLite has in every database are always known.
+    $check`Built in tables`
+      .value(['sqlite_master', 'sqlite_schema', 'sqlite_temp_master', 'SQLITE_SEQUENCE'].map(name => catalog.table(name)?.columns.length))
+      .eq($[0], 5)
+      .eq($[1], 5)
+      .eq($[2], 5)
+      .eq($[3], 2);
+
+    const renamed = createSchemaCatalog(schema, 'ALTER TABLE Roles RENAME TO Teams;');
+    $check`Renamed table`
+      .value([renamed.table('Roles'), renamed.table('Teams')])
+      .eq($[0], null)
+      .eq($[1].name, 'Teams');
+
+    // Indexes are tracked, and go away with their table.
+    $check`Indexes`
+      .value([catalog.index('usersbyname'), catalog.index('DroppedByValue')])
+      .eq($[0].name, 'UsersByName')
+      .eq($[0].table, 'Users')
+      .eq($[1], null);
+
+    // Views are tables whose columns come from their query, while the columns
+    // of virtual tables are not known.
+    $check`Views and virtual tables`
+      .value([catalog.table('UserNames').columns, catalog.table('Posts').columns])
+      .eq($[0].length, 2)
+      .eq($[0][1].name, 'name')
+      .eq($[0][1].type, 'TEXT')
+      .eq($[0][1].notNull, true)
+      .eq($[1], null);
+
+    $check`Copied catalog`
+      .value((copy => (copy.apply('DROP TABLE Users;'), [copy.table('Users'), catalog.table('Users')]))(catalog.copy()))
+      .eq($[0], null)
+      .neq($[1], null);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that the columns that statements produce are
+   * resolved against the schema, with their types and nullability. */
+  "Result Columns": async ({ runScope: ctx }) => {
+    const catalog = createSchemaCatalog(schema);
+
+    $check`All columns`
+      .value(catalog.resultColumns('SELECT * FROM Users;').map(column => column.name).join())
+      .eq($, 'userId,username,isCool');
+
+    $check`Aliased columns and expressions`
+      .value(catalog.resultColumns(`SELECT u.username AS name, COUNT(*), CAST(userId AS TEXT) AS id, 'x', upper(username)
+                                      FROM Users AS u;`))
+      .eq($[0].name, 'name')
+      .eq($[0].type, 'TEXT')
+      .eq($[0].nullable, false)
+      .eq($[1].name, 'COUNT(*)')
+      .eq($[1].type, 'INTEGER')
+      .eq($[2].type, 'TEXT')
+      .eq($[3].name, "'x'")
+      .eq($[4].name, 'upper(username)')
+      .eq($[4].type, null)
+      .eq($[4].nullable, true);
+
+    // Columns from the outer side of an outer join can always be null.
+    $check`Columns from a join`
+      .value(catalog.resultColumns('SELECT u.userId, r.* FROM Users u LEFT JOIN Roles r ON r.roleId = u.userId;'))
+      .eq($.length, 4)
+      .eq($[0].nullable, false)
+      .eq($[1].name, 'roleId')
+      .eq($[1].nullable, true);
+
+    $check`Columns of a compound select`
+      .value(catalog.resultColumns('SELECT userId FROM Users UNION SELECT roleName FROM Roles;'))
+      .eq($[0].name, 'userId')
+      .eq($[0].type, null)
+      .eq($[0].nullable, true);
+
+    $check`Columns returned from a modification`
+      .value(catalog.resultColumns('UPDATE Roles AS r SET roleName = ?1 RETURNING roleId, r.payload;'))
+      .eq($.length, 2)
+      .eq($[0].type, 'INTEGER')
+      .eq($[1].name, 'payload');
+
+    // Anything that cannot be resolved falls back to being unknown.
+    $check`Columns that cannot be resolved`
+      .value(catalog.resultColumns('SELECT userId, value FROM Users, (SELECT 1 AS value) AS v;'))
+      .eq($[0].type, 'INTEGER')
+      .eq($[1].type, null);
+
+    $check`Columns of a common table expression`
+      .value(catalog.resultColumns('WITH Users AS (SELECT 1 AS userId) SELECT userId FROM Users;'))
+      .eq($[0].type, null);
+
+    $check`All columns of a subquery`
+      .value(catalog.resultColumns('SELECT * FROM (SELECT 1);'))
+      .eq($, null);
+
+    $check`All columns of an unknown table`
+      .value(catalog.resultColumns('SELECT * FROM Missing;'))
+      .eq($, null);
+
+    $check`Statement without rows`
+      .value(catalog.resultColumns('INSERT INTO Users (username) VALUES (?1);'))
+      .eq($, null);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that statements are validated against the
+   * schema, failing at the first reference to something that does not exist
+   * with the location of the reference. */
+  "Validation": async ({ runScope: ctx }) => {
+    const catalog = createSchemaCatalog(schema);
+    const validate = sql => () => catalog.validate(sql, 'test.sql');
+
+    const valid = [
+      'SELECT u.username AS name, COUNT(*) FROM Users AS u LEFT JOIN Roles r ON r.roleId = u.userId GROUP BY name ORDER BY name;',
+      'SELECT * FROM Users INDEXED BY UsersByName WHERE rowid = :id AND username = "bob";',
+      'WITH Counts (n) AS (SELECT COUNT(*) FROM Roles) SELECT n FROM Counts, json_each(:ids) AS j WHERE j.value = n;',
+      'SELECT userId FROM Users UNION SELECT roleId FROM Roles ORDER BY userId;',
+      'SELECT * FROM Roles WHERE EXISTS (SELECT 1 FROM Users WHERE Users.userId = Roles.roleId);',
+      'INSERT INTO Roles (roleId, roleName) VALUES (1, :name) ON CONFLICT (roleId) DO UPDATE SET roleName = excluded.roleName;',
+      'INSERT INTO Roles SELECT userId, username, NULL FROM Users;',
+      'UPDATE Roles AS r SET roleName = u.username FROM Users AS u WHERE u.userId = r.roleId RETURNING r.roleId;',
+      'SELECT id, name FROM UserNames; SELECT * FROM Posts WHERE Posts MATCH :query;',
+      'CREATE TABLE Teams (teamId INTEGER); INSERT INTO Teams (teamId) VALUES (1); DROP TABLE IF EXISTS Missing;',
+      "SELECT name, sql FROM sqlite_master WHERE type = 'table'; SELECT s.name FROM main.sqlite_schema AS s;",
+      'SELECT tbl_name FROM sqlite_temp_master; SELECT seq FROM sqlite_sequence WHERE name = :table;',
+      'INSERT INTO Totals VALUES (:amount);',
+      'SELECT value FROM Users, json_each(Users.username); SELECT j.key FROM Users AS u JOIN json_tree(u.username) AS j;'
+    ];
+    for (const sql of valid) {
+      $check`Valid statement: ${sql}`
+        .call(validate(sql))
+        .eq($, undefined);
+    }
+
+    $check`Unknown table`
+      .call(validate('SELECT * FROM Rolez;'))
+      .throws($, "test.sql:1:15: no such table 'Rolez'");
+
+    $check`Unknown column on a later line`
+      .call(validate('SELECT 1;\n\nSELECT userId\n  FROM Users\n WHERE usename = :name;'))
+      .throws($, "test.sql:5:8: no such column 'usename'");
+
+    $check`Schema error`
+      .value((() => { try { validate('SELECT * FROM Rolez;')(); } catch (err) { return err; } })())
+      .instanceof($, SQLSchemaError)
+      .eq($.filename, 'test.sql')
+      .eq($.line, 1)
+      .eq($.column, 15);
+
+    $check`Unknown qualified column`
+      .call(validate('SELECT u.email FROM Users AS u;'))
+      .throws($, "test.sql:1:10: no such column 'u.email'");
+
+    $check`Unknown table qualifier`
+      .call(validate('SELECT r.roleId FROM Roles;'))
+      .throws($, "test.sql:1:8: no such table 'r'");
+
+    $check`Unknown column in a correlated subquery`
+      .call(validate('SELECT * FROM Users WHERE userId IN (SELECT roleId FROM Roles WHERE roleName = nickname);'))
+      .throws($, "test.sql:1:80: no such column 'nickname'");
+
+    $check`Unknown index`
+      .call(validate('SELECT * FROM Users INDEXED BY UsersByEmail;'))
+      .throws($, "test.sql:1:32: no such index 'UsersByEmail'");
+
+    $check`Unknown column to insert into`
+      .call(validate('INSERT INTO Users (userId, email) VALUES (1, :email);'))
+      .throws($, "test.sql:1:28: table 'Users' has no column 'email'");
+
+    $check`Unknown column to update`
+      .call(validate('UPDATE Roles SET name = :name WHERE roleId = :id;'))
+      .throws($, "test.sql:1:18: table 'Roles' has no column 'name'");
+
+    $check`Too many values to insert`
+      .call(validate('INSERT INTO Roles (roleId, roleName) VALUES (1, :name), (2, :name, 3);'))
+      .throws($, "test.sql:1:57: 3 values for 2 columns");
+
+    $check`Too few values to insert into every column`
+      .call(validate('INSERT INTO Roles VALUES (1, :name);'))
+      .throws($, "test.sql:1:26: 2 values for 3 columns");
+
+    $check`Values to insert into generated columns`
+      .call(validate('INSERT INTO Totals VALUES (1, 2);'))
+      .throws($, "test.sql:1:27: 2 values for 1 columns");
+
+    $check`Unknown column in a table valued function`
+      .call(validate('SELECT value FROM Users, json_each(Users.email);'))
+      .throws($, "test.sql:1:42: no such column 'Users.email'");
+
+    $check`Table valued function referring to a later source`
+      .call(validate('SELECT value FROM json_each(Users.username), Users;'))
+      .throws($, "test.sql:1:29: no such table 'Users'");
+
+    $check`Unknown column of a built in table`
+      .call(validate('SELECT tableName FROM sqlite_master;'))
+      .throws($, "test.sql:1:8: no such column 'tableName'");
+
+    $check`Wrong number of values selected to insert`
+      .call(validate('INSERT INTO Roles (roleId) SELECT userId, username FROM Users;'))
+      .throws($, "test.sql:1:28: 2 values for 1 columns");
+
+    // Tables created by the SQL that is validated are not kept.
+    $check`Validation does not change the catalog`
+      .value(catalog.table('Teams'))
+      .eq($, null);
+  },
+});
+
+
+/******************************************************************************/
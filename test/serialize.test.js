@@ -0,0 +1,110 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { dbFetchOne } from "../lib/query.js";
+import { processSQLString, mapBinds } from "../lib/statement.js";
+import { SQLBindError } from "../lib/errors.js";
+
+
+/******************************************************************************/
+
+
+/* Bind the given values to the given SQL via mapBinds() with the given
+ * serialization options, returning the error that is raised, or null if there
+ * is no error. */
+function bindError(sql, values, serialization) {
+  try {
+    mapBinds(processSQLString(sql).bindMetadata, values, undefined, serialization);
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Bind Serialization`({
+  /* This set of tests verifies that the values bound to statements are
+   * converted into values that D1 can store. */
+  "Default Serialization": async ({ runScope: ctx }) => {
+    await $check`Values stored by type`
+      .value(dbFetchOne(ctx.env.DB, { action: 'serialize_test_one', logger: null, transforms: null },
+        'SELECT ?1 AS d, ?2 AS o, ?3 AS a, typeof(?4) AS t, length(?4) AS l, ?5 AS b, ?6 AS n;',
+        [new Date(0), { a: 1 }, [1, 2], new Uint8Array([1, 2, 3]).subarray(1), true, 12n]))
+      .eq($.d, '1970-01-01T00:00:00.000Z')
+      .eq($.o, '{"a":1}')
+      .eq($.a, '[1,2]')
+      .eq($.t, 'blob')
+      .eq($.l, 2)
+      .eq($.b, 1)
+      .eq($.n, 12);
+
+    // The values in an IN list are converted individually, rather than the
+    // list being stored as JSON.
+    await $check`Values in an IN list`
+      .value(dbFetchOne(ctx.env.DB, { action: 'serialize_test_two', logger: null },
+        'SELECT count(*) AS users FROM Users WHERE userId IN (:ids);', { ids: [1n, 69] }))
+      .eq($.users, 2);
+
+    await $check`Serialization disabled`
+      .value(dbFetchOne(ctx.env.DB, { action: 'serialize_test_three', logger: null, serialization: null },
+        'SELECT ? AS value;', ['text']))
+      .eq($.value, 'text');
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that the conversions can be configured, both for
+   * dates and for specific parameters. */
+  "Configured Serialization": async ({ runScope: ctx }) => {
+    const serialization = {
+      dates: 'unixepoch',
+      params: {
+        createdAt: 'epoch',
+        flag: value => value === 'yes'
+      }
+    };
+
+    await $check`Configured conversions`
+      .value(dbFetchOne(ctx.env.DB, { action: 'serialize_test_four', logger: null, serialization },
+        'SELECT :date AS date, :createdAt AS createdAt, :flag AS flag;',
+        { date: new Date(5000), createdAt: new Date(5000), flag: 'yes' }))
+      .eq($.date, 5)
+      .eq($.createdAt, 5000)
+      .eq($.flag, 1);
+
+    $check`Unknown bind type`
+      .call(() => mapBinds(processSQLString('SELECT :x;').bindMetadata, { x: 1 }, undefined, { params: { x: 'date' } }))
+      .throws($, "unknown bind type 'date' for bind parameter 'x'");
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that values that cannot be stored raise an error
+   * that names the parameter they were bound to. */
+  "Serialization Failures": async ({ runScope: ctx }) => {
+    const failures = [
+      ['SELECT ?;', [new Map()], undefined, 'bind parameter 1 has a value of type Map that cannot be stored'],
+      ['SELECT ?;', [2n ** 60n], undefined, 'bind parameter 1 is a BigInt that is outside of the safe integer range'],
+      ['SELECT ?;', [NaN], undefined, 'bind parameter 1 is not a finite number'],
+      ['SELECT :when;', { when: new Date('never') }, undefined, "bind parameter 'when' is an invalid Date"],
+      ['SELECT 1 WHERE 1 IN (:ids);', { ids: [1, undefined] }, undefined, "bind parameter 'ids[1]' is undefined"],
+      ['SELECT :user.meta;', { user: { meta: {} } }, { json: false }, "bind parameter 'user.meta' has a value of type Object that cannot be stored"]
+    ];
+
+    for (const [sql, values, serialization, message] of failures) {
+      $check`Value that cannot be stored: ${message}`
+        .value(bindError(sql, values, serialization))
+        .instanceof($, SQLBindError)
+        .eq($.message, message);
+    }
+  },
+});
+
+
+/******************************************************************************/
@@ -3,10 +3,27 @@ import { Collection, $check, $ } from "@axel669/aegis";
 import {
   processSQLString,
   mapBinds,
+  expandBinds,
   BIND_STYLE_ANONYMOUS,
   BIND_STYLE_NUMBERED,
   BIND_STYLE_NAMED
 } from "../lib/statement.js";
+import { SQLLimitError, SQLSyntaxError, SQLBindError } from "../lib/errors.js";
+
+
+/******************************************************************************/
+
+
+/* Process the given SQL via processSQLString() with the given source name,
+ * returning the error that is raised, or null if there is no error. */
+function processError(sql, sourceName) {
+  try {
+    processSQLString(sql, sourceName);
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
 
 
 /******************************************************************************/
@@ -153,6 +170,34 @@ export default Collection`Statement Preparation`({
       .call(() => processSQLString('SELECT * FROM Users WHERE userId = $id AND username = :name;'))
       .throws($, "cannot mix bind parameter styles; expected '$' but found ':'");
 
+    // Errors in the SQL carry their location, identifying the SQL by its source
+    // name.
+    $check`Location of mixed bind styles`
+      .value(processError('SELECT *\n  FROM Users\n WHERE userId = ? AND username = :name;', 'users.sql'))
+      .instanceof($, SQLBindError)
+      .eq($.message, "cannot mix bind parameter styles; expected '?' but found ':'")
+      .eq($.filename, 'users.sql')
+      .eq($.line, 3)
+      .eq($.column, 34)
+      .eq($.expected, '?')
+      .eq($.frame, '  |\n3 |  WHERE userId = ? AND username = :name;\n  |                                  ^');
+
+    $check`Location of invalid syntax`
+      .value(processError('SELECT *\n\tFROM Users\n\tWHERE userId = = 1;', 'users.sql'))
+      .instanceof($, SQLSyntaxError)
+      .eq($.message, 'invalid SQL syntax')
+      .eq($.filename, 'users.sql')
+      .eq($.line, 3)
+      .eq($.column, 17)
+      .eq($.frame, '  |\n3 | \tWHERE userId = = 1;\n  | \t               ^');
+
+    $check`Location of incomplete SQL`
+      .value(processError('SELECT * FROM', 'users.sql'))
+      .instanceof($, SQLSyntaxError)
+      .eq($.message, 'invalid SQL syntax')
+      .eq($.column, 14)
+      .eq($.expected, '"(", "GLOB", "LATERAL", "LIKE", "REPLACE", "ROWS", identifier, or whitespace');
+
     // Multiple statements should throw an error by default.
     $check`Multiple statements not allowed by default`
       .call(() => processSQLString('SELECT 1; SELECT 2;'))
@@ -312,8 +357,393 @@ export default Collection`Statement Preparation`({
     $check`DROP INDEX statement`
       .value(processSQLString('DROP INDEX idx_name;').canProduceResult)
       .eq($, false);
+  },
+
+  /****************************************************************************/
+
+  /* This set of tests validates that the readOnly flag is correctly set on
+   * statements that only read from the database, since it controls whether or
+   * not a statement can be retried by default. */
+  "Read Only Statement Detection": ({ runScope: ctx }) => {
+    // Statements that only read
+    $check`SELECT statement`
+      .value(processSQLString('SELECT * FROM Users;').readOnly)
+      .eq($, true);
+
+    $check`SELECT with a CTE`
+      .value(processSQLString('WITH u AS (SELECT * FROM Users) SELECT * FROM u;').readOnly)
+      .eq($, true);
+
+    $check`PRAGMA query`
+      .value(processSQLString('PRAGMA table_info(Users);').readOnly)
+      .eq($, true);
+
+    $check`EXPLAIN statement`
+      .value(processSQLString('EXPLAIN DELETE FROM Users;').readOnly)
+      .eq($, true);
+
+    $check`VALUES statement`
+      .value(processSQLString('VALUES (1, 2), (3, 4);').readOnly)
+      .eq($, true);
+
+    // Statements that can write
+    $check`PRAGMA assignment`
+      .value(processSQLString('PRAGMA foreign_keys = ON;').readOnly)
+      .eq($, false);
+
+    $check`INSERT with RETURNING`
+      .value(processSQLString('INSERT INTO Users (name) VALUES ("test") RETURNING *;').readOnly)
+      .eq($, false);
+
+    $check`UPDATE statement`
+      .value(processSQLString('UPDATE Users SET name = "new" WHERE id = 1;').readOnly)
+      .eq($, false);
+
+    $check`CREATE TABLE statement`
+      .value(processSQLString('CREATE TABLE Test (id INTEGER PRIMARY KEY);').readOnly)
+      .eq($, false);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests ensures that label annotations in the comments that lead
+   * a statement are used to label the statement. */
+  "Statement Labels": ({ runScope: ctx }) => {
+    $check`Statement with no label`
+      .value(processSQLString('-- Just a comment\nSELECT * FROM Users;').label)
+      .eq($, null);
+
+    $check`Label with the default mode`
+      .value(processSQLString('-- @label users\nSELECT * FROM Users;').label)
+      .eq($.name, 'users')
+      .eq($.mode, 'all');
+
+    $check`Label with a mode in a block comment`
+      .value(processSQLString('/* Count the users\n * @label userCount value\n */\nSELECT COUNT(*) FROM Users;').label)
+      .eq($.name, 'userCount')
+      .eq($.mode, 'value');
+
+    // Each statement gets the label that leads it; a comment that trails the
+    // prior statement on the same line does not lead the next one.
+    $check`Labels on multiple statements`
+      .value(processSQLString(`-- @label first one
+                               SELECT 1;
+                               SELECT 2; -- @label trailing
+                               -- @label third value
+                               SELECT 3;`, 'test', true).map(info => info.label?.name ?? null))
+      .eq($[0], 'first')
+      .eq($[1], null)
+      .eq($[2], 'third');
+
+    $check`Label with an invalid mode`
+      .call(() => processSQLString('-- @label users many\nSELECT * FROM Users;'))
+      .throws($, "invalid mode 'many' for label 'users'; must be one of all, one, value");
+
+    $check`Label with no name`
+      .call(() => processSQLString('-- @label\nSELECT * FROM Users;'))
+      .throws($, "invalid label annotation '@label'; expected '@label name [mode]'");
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests ensures that name and returns annotations in the comments
+   * that lead a statement are picked up, for use when importing SQL files. */
+  "Query Names": ({ runScope: ctx }) => {
+    $check`Statement with no name`
+      .value(processSQLString('SELECT * FROM Users;'))
+      .eq($.name, null)
+      .eq($.returns, null);
+
+    $check`Statement with a name and returns`
+      .value(processSQLString('-- @name getUser\n-- @returns one\nSELECT * FROM Users WHERE userId = :id;'))
+      .eq($.name, 'getUser')
+      .eq($.returns, 'one');
+
+    $check`Name that is not an identifier`
+      .call(() => processSQLString('-- @name get-user\nSELECT * FROM Users;'))
+      .throws($, "invalid name annotation '@name get-user'; expected '@name identifier'");
+
+    $check`Returns with an invalid mode`
+      .call(() => processSQLString('-- @name getUser\n-- @returns all\nSELECT * FROM Users;'))
+      .throws($, "invalid returns annotation '@returns all'; expected one of many, one, first, none");
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that statements and bind values that exceed the
+   * limits of D1 are caught before they are ever sent to it. */
+  "Statement Limits": ({ runScope: ctx }) => {
+    const manyParams = `SELECT ${Array.from({ length: 101 }, () => '?').join(', ')};`;
+
+    $check`Statement with too many parameters`
+      .call(() => processSQLString(manyParams))
+      .throws($, 'statement has 101 bind parameters, which exceeds the maximum of 100');
+
+    $check`Statement limit error`
+      .value((() => { try { processSQLString(manyParams); } catch (err) { return err; } })())
+      .instanceof($, SQLLimitError)
+      .eq($.limit, 'params')
+      .eq($.maximum, 100)
+      .eq($.value, 101);
+
+    // Limits can be raised, or disabled entirely.
+    $check`Statement with raised limits`
+      .value(processSQLString(manyParams, 'test', false, { maxParams: 200 }))
+      .eq($.bindMetadata.argCount, 101);
+
+    $check`Statement with no limits`
+      .value(processSQLString(manyParams, 'test', false, null))
+      .eq($.bindMetadata.argCount, 101);
+
+    // The length of a statement is that of the SQL as it is rewritten.
+    const longSQL = processSQLString('SELECT * FROM Users WHERE username = :name;').sql;
+    $check`Statement that is too long`
+      .call(() => processSQLString('SELECT * FROM Users WHERE username = :name;', 'test', false, { maxSQLLength: 20 }))
+      .throws($, `statement is ${longSQL.length} bytes long, which exceeds the maximum of 20 bytes`);
+
+    $check`Multiple statements with one that is too long`
+      .call(() => processSQLString(`SELECT 1; ${manyParams}`, 'test', true))
+      .throws($, 'statement has 101 bind parameters, which exceeds the maximum of 100');
+
+    // Bind values are measured in bytes, whether strings or blobs.
+    const { bindMetadata } = processSQLString('INSERT INTO Users (username) VALUES (?);');
+    $check`Bind string that is too large`
+      .call(() => mapBinds(bindMetadata, ['x'.repeat(2000001)]))
+      .throws($, 'bind parameter 1 is 2000001 bytes, which exceeds the maximum of 2000000 bytes');
+
+    $check`Bind multibyte string that is too large`
+      .call(() => mapBinds(bindMetadata, ['\u00e9'.repeat(6)], { maxValueSize: 10 }))
+      .throws($, 'bind parameter 1 is 12 bytes, which exceeds the maximum of 10 bytes');
+
+    $check`Bind blob that is too large`
+      .call(() => mapBinds(bindMetadata, [new Uint8Array(11)], { maxValueSize: 10 }))
+      .throws($, 'bind parameter 1 is 11 bytes, which exceeds the maximum of 10 bytes');
+
+    $check`Bind values within the limits`
+      .value(mapBinds(bindMetadata, ['x'.repeat(10)], { maxValueSize: 10 }))
+      .eq($.length, 1);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that named binds used as an IN list can be bound
+   * to arrays, which expand to one bind per value. */
+  "IN List Binds": ({ runScope: ctx }) => {
+    const { bindMetadata } = processSQLString('SELECT * FROM Users WHERE userId IN (:ids) AND username NOT IN (:names) AND isCool = :cool;');
+
+    $check`IN list bind metadata`
+      .value(bindMetadata)
+      .isArray($.lists)
+      .eq($.lists.length, 2)
+      .eq($.lists[0], 'ids')
+      .eq($.lists[1], 'names')
+      .eq($.template.holes.length, 3);
+
+    // A bind used anywhere other than as the sole value of an IN list cannot be
+    // expanded.
+    $check`Binds that are not IN lists`
+      .value(processSQLString('SELECT * FROM Users WHERE userId IN (:id, 2) OR userId = :other OR userId IN (:other);').bindMetadata)
+      .eq($.lists, undefined)
+      .eq($.template, undefined);
+
+    $check`Expanded IN lists`
+      .value(expandBinds(bindMetadata, mapBinds(bindMetadata, { ids: [1, 2, 3], names: ['bob'], cool: 1 })))
+      .eq($.sql, 'SELECT * FROM Users WHERE userId IN (?1, ?2, ?3) AND username NOT IN (?4) AND isCool = ?5')
+      .eq($.binds.length, 5)
+      .eq($.binds[3], 'bob')
+      .eq($.binds[4], 1);
+
+    // Empty lists become a subquery with no rows, rather than invalid SQL.
+    $check`Expanded empty IN lists`
+      .value(expandBinds(bindMetadata, mapBinds(bindMetadata, { ids: [], names: [], cool: 1 })))
+      .eq($.sql, 'SELECT * FROM Users WHERE userId IN (SELECT NULL WHERE 0) AND username NOT IN (SELECT NULL WHERE 0) AND isCool = ?1')
+      .eq($.binds.length, 1);
+
+    // A single value for an IN list is bound as is, as is a statement where no
+    // IN list is given an array.
+    $check`IN list with a single value`
+      .value(expandBinds(bindMetadata, mapBinds(bindMetadata, { ids: [4, 5], names: 'bob', cool: 1 })))
+      .eq($.sql, 'SELECT * FROM Users WHERE userId IN (?1, ?2) AND username NOT IN (?3) AND isCool = ?4');
+
+    $check`IN lists with no arrays`
+      .value(expandBinds(bindMetadata, mapBinds(bindMetadata, { ids: 1, names: 'bob', cool: 1 })))
+      .eq($.sql, null)
+      .eq($.binds.length, 3);
+
+    // A bind that appears in more than one IN list uses the same binds in each.
+    const repeated = processSQLString('SELECT * FROM Users WHERE userId IN (:ids) OR userId + 1 IN (:ids);').bindMetadata;
+    $check`Repeated IN list`
+      .value(expandBinds(repeated, mapBinds(repeated, { ids: [1, 2] })))
+      .eq($.sql, 'SELECT * FROM Users WHERE userId IN (?1, ?2) OR userId + 1 IN (?1, ?2)')
+      .eq($.binds.length, 2);
+
+    // The expanded statement is checked against the limits.
+    $check`Expanded IN list over the limits`
+      .call(() => expandBinds(bindMetadata, mapBinds(bindMetadata, { ids: [1, 2, 3], names: [], cool: 1 }), { maxParams: 3 }))
+      .throws($, 'statement has 4 bind parameters, which exceeds the maximum of 3');
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that named binds can have dotted paths, which
+   * are bound from nested objects. */
+  "Dotted Bind Paths": ({ runScope: ctx }) => {
+    const info = processSQLString('SELECT * FROM Users WHERE username = :user.name AND userId = :user.id OR userId IN (:org.ids);');
+
+    $check`Dotted bind names`
+      .value(info.bindMetadata)
+      .eq($.style, BIND_STYLE_NAMED)
+      .eq($.argCount, 3)
+      .eq($.params['user.name'], 0)
+      .eq($.params['user.id'], 1)
+      .eq($.lists[0], 'org.ids');
+
+    $check`Dotted binds are rewritten`
+      .value(info.sql)
+      .eq($, 'SELECT * FROM Users WHERE username = ?1 AND userId = ?2 OR userId IN (?3)');
+
+    $check`Deeply dotted bind names`
+      .value(processSQLString('SELECT $a.b.c, $a.d;').bindMetadata)
+      .eq($.params['a.b.c'], 0)
+      .eq($.params['a.d'], 1);
+
+    $check`Binding dotted paths`
+      .value(mapBinds(info.bindMetadata, { user: { name: 'bob', id: 1, email: 'unused' }, org: { ids: [1, 2] } }))
+      .eq($.length, 3)
+      .eq($[0], 'bob')
+      .eq($[1], 1)
+      .eq($[2].length, 2);
+
+    // Missing values report the full path of the bind.
+    $check`Binding a missing path`
+      .call(() => mapBinds(info.bindMetadata, { user: { name: 'bob' }, org: { ids: [1] } }))
+      .throws($, "no value provided for bind parameter 'user.id'");
+
+    $check`Binding a path through a non-object`
+      .call(() => mapBinds(info.bindMetadata, { user: { name: 'bob', id: 1 }, org: 12 }))
+      .throws($, "no value provided for bind parameter 'org.ids'");
+
+    $check`Binding an unknown root`
+      .call(() => mapBinds(info.bindMetadata, { user: { name: 'bob', id: 1 }, org: { ids: [] }, team: {} }))
+      .throws($, "'team' is not a valid bind parameter for this query");
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that named binds can be declared as optional,
+   * with a default value that is used when no value is given. */
+  "Optional Binds": ({ runScope: ctx }) => {
+    const sql = `-- Find users, optionally by name
+                 -- @param name = 'o''brien'
+                 -- @param :max = 100
+                 -- @param ids = [1, 69]
+                 -- @param filter.cool
+                 SELECT * FROM Users
+                  WHERE username = :name AND userId < :max AND userId IN (:ids) AND isCool = :filter.cool;`;
+    const { bindMetadata } = processSQLString(sql);
+
+    $check`Declared defaults`
+      .value(bindMetadata.defaults)
+      .eq($.name, "o'brien")
+      .eq($.max, 100)
+      .eq($.ids.length, 2)
+      .eq($['filter.cool'], null);
+
+    $check`Binds without declared defaults`
+      .value(processSQLString('SELECT :name;').bindMetadata.defaults)
+      .eq($, undefined);
+
+    $check`Binding with defaults`
+      .value(mapBinds(bindMetadata, { max: 10 }))
+      .eq($.length, 4)
+      .eq($[0], "o'brien")
+      .eq($[1], 10)
+      .eq($[2].length, 2)
+      .eq($[3], null);
+
+    // Binds without defaults are still required.
+    $check`Binding a required bind`
+      .call(() => mapBinds(processSQLString('-- @param a = 1\nSELECT :a, :b;').bindMetadata, { a: 2 }))
+      .throws($, 'incorrect number of bind parameters; expected 2, got 1');
+
+    const failures = [
+      ['-- @param nope = 1\nSELECT :a;', "@param annotation for unknown bind parameter 'nope'"],
+      ['-- @param a = 1\nSELECT ?;', "@param annotation for unknown bind parameter 'a'"],
+      ['-- @param a = [1\nSELECT :a;', "invalid default value for bind parameter 'a': [1"],
+      ['-- @param 1a\nSELECT :a;', "invalid param annotation '@param 1a'; expected '@param name = value'"]
+    ];
+
+    for (const [sql, message] of failures) {
+      $check`Invalid param annotation: ${message}`
+        .call(() => processSQLString(sql))
+        .throws($, message);
+    }
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that statements can be minified, removing their
+   * comments and extra whitespace without changing what they do. */
+  "Minification": ({ runScope: ctx }) => {
+    const sql = `-- @label user one
+                 SELECT userId, /* the name */ username  AS "user name"
+                   FROM Users   -- all of them
+                  WHERE username = 'a  -- b'
+                    AND userId IN ( :userIds )
+                    AND score > - -1;`;
+    const minified = processSQLString(sql, 'test', false, undefined, true);
+
+    $check`Minified SQL`
+      .value(minified.sql)
+      .eq($, `SELECT userId,username AS "user name" FROM Users WHERE username='a  -- b' AND userId IN(?1)AND score>- -1`);
+
+    // The source is the statement as it was written, without the comments that
+    // lead it, since those are annotations.
+    $check`Source of minified SQL`
+      .value(minified.source)
+      .eq($, sql.slice(sql.indexOf('SELECT'), -1));
+
+    $check`Minified statement keeps its annotations`
+      .value(minified.label)
+      .eq($.name, 'user')
+      .eq($.mode, 'one');
+
+    $check`Minified IN list template`
+      .value(expandBinds(minified.bindMetadata, [[1, 2]]))
+      .eq($.sql, `SELECT userId,username AS "user name" FROM Users WHERE username='a  -- b' AND userId IN(?1, ?2)AND score>- -1`);
+
+    // Statements after the first have the comments that lead them removed.
+    $check`Minified statements in a file`
+      .value(processSQLString('SELECT 1;\n-- second\nSELECT  2;', 'test', true, undefined, true).map(info => info.sql))
+      .eq($[0], 'SELECT 1')
+      .eq($[1], 'SELECT 2');
+
+    // Strings and quoted identifiers are kept as they are, including anything
+    // in them that looks like the whitespace between tokens.
+    $check`Minified SQL with whitespace in strings`
+      .value(processSQLString(`SELECT  ' ( \u0001 ) ' ,  [a  \u0001 b]  FROM  "x \u0001  y";`, 'test', false, undefined, true).sql)
+      .eq($, `SELECT ' ( \u0001 ) ',[a  \u0001 b] FROM "x \u0001  y"`);
+
+    $check`SQL is not minified by default`
+      .value(processSQLString(sql))
+      .eq($.sql, sql.slice(sql.indexOf('SELECT'), -1).replace(':userIds', '?1'))
+      .eq($.source, undefined);
   }
 });
 
 
-/******************************************************************************/
+/******************************************************************************/
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { dbFetch, dbFetchOne } from "../lib/query.js";
+
+
+/******************************************************************************/
+
+
+export default Collection`Row Transforms`({
+  /* This set of tests verifies that the default row transforms convert columns
+   * that are named like booleans, and that this can be turned off. */
+  "Boolean Heuristic": async ({ runScope: ctx }) => {
+    // By default, columns named as booleans are converted.
+    await $check`Heuristic enabled by default`
+      .value(dbFetchOne(ctx.env.DB, 'transform_test_one',
+        'SELECT 1 AS isActive, 0 AS isHidden, 1 AS issue_count, NULL AS isMissing;'))
+      .eq($.isActive, true)
+      .eq($.isHidden, false)
+      .eq($.issue_count, 1)
+      .eq($.isMissing, null);
+
+    // The heuristic can be turned off on a per query basis.
+    await $check`Heuristic disabled`
+      .value(dbFetchOne(ctx.env.DB,
+        { action: 'transform_test_two', transforms: { booleanHeuristic: false } },
+        'SELECT 1 AS isActive;'))
+      .eq($.isActive, 1);
+
+    // Transforms can be turned off entirely.
+    await $check`Transforms disabled`
+      .value(dbFetch(ctx.env.DB,
+        { action: 'transform_test_three', transforms: null },
+        'SELECT 0 AS isCool;'))
+      .eq($[0].isCool, 0);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This set of tests verifies that the column map converts the values of the
+   * columns it names into the appropriate types. */
+  "Column Types": async ({ runScope: ctx }) => {
+    const transforms = {
+      columns: {
+        active: 'boolean',
+        created: 'date',
+        createdMs: 'date',
+        updated: 'unixepoch',
+        data: 'json',
+        big: 'bigint',
+        shout: value => value.toUpperCase(),
+        isCool: 'json'
+      }
+    };
+
+    const row = await dbFetchOne(ctx.env.DB, { action: 'transform_test_four', transforms },
+        `SELECT 1 AS active,
+                '2024-01-02 03:04:05' AS created,
+                1704164645000 AS createdMs,
+                1704164645 AS updated,
+                '{"a": [1, 2]}' AS data,
+                '9007199254740993' AS big,
+                'quiet' AS shout,
+                '[1]' AS isCool;`);
+
+    $check`Built in and custom column types`
+      .value(row)
+      .eq($.active, true)
+      .instanceof($.created, Date)
+      .eq($.data.a[1], 2)
+      .eq($.big, 9007199254740993n)
+      .eq($.shout, 'QUIET')
+      .eq($.isCool[0], 1);
+
+    // All of the date types produce the same point in time.
+    $check`Date column types`
+      .value([row.created, row.createdMs, row.updated].map(date => date.toISOString()))
+      .eq($[0], '2024-01-02T03:04:05.000Z')
+      .eq($[1], '2024-01-02T03:04:05.000Z')
+      .eq($[2], '2024-01-02T03:04:05.000Z');
+
+    // Null values are never converted.
+    await $check`Null values are left alone`
+      .value(dbFetchOne(ctx.env.DB, { action: 'transform_test_five', transforms },
+        'SELECT NULL AS created, NULL AS data;'))
+      .eq($.created, null)
+      .eq($.data, null);
+
+    // This includes columns that are named like booleans, which the default
+    // transforms would otherwise convert.
+    await $check`Null boolean columns are left alone`
+      .value(dbFetchOne(ctx.env.DB, 'transform_test_five', 'SELECT NULL AS isCool, 0 AS isQuiet;'))
+      .eq($.isCool, null)
+      .eq($.isQuiet, false);
+
+    // Unknown column types are an error.
+    await $check`Unknown column type`
+      .value(dbFetchOne(ctx.env.DB,
+        { action: 'transform_test_six', transforms: { columns: { a: 'decimal' } } },
+        'SELECT 1 AS a;'))
+      .throws($, "unknown column type 'decimal' for column 'a'");
+  },
+});
+
+
+/******************************************************************************/